@@ -36,6 +36,7 @@ def compress_glsl(text):
 
 def build():
     data = 'var %s = (function() {\n\n%s\nreturn %s;\n})();\n' % (module, compile(sources()), module)
+    data += 'if (typeof module != \'undefined\') module.exports = %s;\n' % module
     if 'release' in sys.argv:
         f1, temp1_path = tempfile.mkstemp()
         f2, temp2_path = tempfile.mkstemp()
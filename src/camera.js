@@ -0,0 +1,360 @@
+// Provides reusable camera controllers that turn mouse, touch, and keyboard
+// input into a view transform on the modelview matrix stack.
+
+// ### new GL.OrbitCamera([options])
+//
+// Orbits around a center point at a given distance. Drag with the left mouse
+// button (or one finger) to orbit, while holding shift (or with two fingers)
+// to pan, and with the middle mouse button or while holding alt to dolly in
+// and out. The right mouse button is left alone since it opens the context
+// menu. The mouse wheel and pinch gestures also
+// dolly. Input is accumulated by the event methods and applied by `update()`,
+// which smooths it out over several frames when `damping` is above zero.
+//
+// Options:
+//
+//     var camera = new GL.OrbitCamera({
+//       center: new GL.Vector(0, 0, 0), // The point to orbit around
+//       distance: 10,      // The distance from the eye to the center
+//       angleX: 30,        // The pitch in degrees, positive looks down
+//       angleY: 45,        // The yaw in degrees
+//       minAngleX: -89,    // The pitch is clamped to this range
+//       maxAngleX: 89,
+//       minDistance: 0.01, // The distance is clamped to this range
+//       maxDistance: 1e6,
+//       fov: 45,           // Should match the projection, used for panning and fit()
+//       damping: 0.8,      // Fraction of remaining motion kept every 1/60 second
+//       rotateSpeed: 0.25, // Degrees per pixel dragged
+//       zoomSpeed: 0.002   // Dolly amount per pixel scrolled
+//     });
+//
+// Example usage:
+//
+//     gl.onmousedown = function(e) { camera.onmousedown(e); };
+//     gl.onmousemove = function(e) { camera.onmousemove(e); };
+//     gl.onmouseup = function(e) { camera.onmouseup(e); };
+//     gl.onmousewheel = function(e) { camera.onmousewheel(e); };
+//     gl.ontouchmove = function(e) { camera.ontouchmove(e); };
+//
+//     gl.onupdate = function(seconds) {
+//       camera.update(seconds);
+//     };
+//
+//     gl.ondraw = function() {
+//       gl.loadIdentity();
+//       camera.apply();
+//       shader.draw(mesh);
+//     };
+function OrbitCamera(options) {
+  options = options || {};
+  this.center = options.center || new Vector();
+  this.distance = options.distance || 10;
+  this.angleX = 'angleX' in options ? options.angleX : 30;
+  this.angleY = 'angleY' in options ? options.angleY : 45;
+  this.minAngleX = 'minAngleX' in options ? options.minAngleX : -89;
+  this.maxAngleX = 'maxAngleX' in options ? options.maxAngleX : 89;
+  this.minDistance = options.minDistance || 0.01;
+  this.maxDistance = options.maxDistance || 1e6;
+  this.fov = options.fov || 45;
+  this.damping = 'damping' in options ? options.damping : 0.8;
+  this.rotateSpeed = options.rotateSpeed || 0.25;
+  this.zoomSpeed = options.zoomSpeed || 0.002;
+  this.mode = null;
+  this.pending = { angleX: 0, angleY: 0, pan: new Vector(), scale: 1 };
+}
+
+OrbitCamera.prototype = {
+  // ### .onmousedown(e)
+  //
+  // Starts a drag, picking orbit, pan, or dolly from the button and modifier keys.
+  onmousedown: function(e) {
+    if (e.which == 3) return;
+    if (e.shiftKey) this.mode = 'pan';
+    else if (e.which == 2 || e.altKey) this.mode = 'dolly';
+    else this.mode = 'orbit';
+  },
+
+  // ### .onmousemove(e)
+  //
+  // Accumulates the motion of the current drag, if any.
+  onmousemove: function(e) {
+    if (!this.mode || !e.dragging) return;
+    if (this.mode == 'orbit') this.orbit(e.deltaX * this.rotateSpeed, e.deltaY * this.rotateSpeed);
+    else if (this.mode == 'pan') this.pan(e.deltaX, e.deltaY);
+    else this.dolly(Math.exp(e.deltaY * this.zoomSpeed * 5));
+  },
+
+  // ### .onmouseup(e)
+  //
+  // Ends the current drag.
+  onmouseup: function(e) {
+    this.mode = null;
+  },
+
+  // ### .onmousewheel(e)
+  //
+  // Dollies in when scrolling up and out when scrolling down.
+  onmousewheel: function(e) {
+    this.dolly(Math.exp(e.wheelDelta * this.zoomSpeed));
+  },
+
+  // ### .ontouchmove(e)
+  //
+  // Orbits with one finger, and pans and dollies with two or more fingers.
+  ontouchmove: function(e) {
+    if (e.touches.length == 1) {
+      this.orbit(e.deltaX * this.rotateSpeed, e.deltaY * this.rotateSpeed);
+    } else {
+      this.pan(e.deltaX, e.deltaY);
+      if (e.deltaScale) this.dolly(1 / e.deltaScale);
+    }
+  },
+
+  // ### .orbit(degreesY, degreesX)
+  //
+  // Rotates the eye around the center by `degreesY` of yaw and `degreesX` of pitch.
+  orbit: function(degreesY, degreesX) {
+    this.pending.angleY += degreesY;
+    this.pending.angleX += degreesX;
+  },
+
+  // ### .pan(pixelsX, pixelsY)
+  //
+  // Moves the center parallel to the view plane so that points at the center's
+  // depth follow the mouse, which moved by `pixelsX, pixelsY` CSS pixels.
+  pan: function(pixelsX, pixelsY) {
+    // Mouse deltas are in CSS pixels, which differ from canvas pixels on
+    // high-DPI displays.
+    var height = gl.canvas ? gl.canvas.clientHeight || gl.canvas.height : 1;
+    var scale = 2 * this.distance * Math.tan(this.fov * Math.PI / 360) / height;
+    var axes = this.getAxes();
+    this.pending.pan = this.pending.pan
+      .subtract(axes.right.multiply(pixelsX * scale))
+      .add(axes.up.multiply(pixelsY * scale));
+  },
+
+  // ### .dolly(scale)
+  //
+  // Multiplies the distance from the eye to the center by `scale`.
+  dolly: function(scale) {
+    this.pending.scale *= scale;
+  },
+
+  // ### .fit(meshOrSphere[, aspect])
+  //
+  // Moves the center to the center of the bounding sphere of a `GL.Mesh` (or of
+  // an object with `center` and `radius` properties) and moves the eye back far
+  // enough for the whole sphere to be visible. The `aspect` argument defaults to
+  // the aspect ratio of the canvas.
+  fit: function(meshOrSphere, aspect) {
+    var sphere = meshOrSphere.getBoundingSphere ? meshOrSphere.getBoundingSphere() : meshOrSphere;
+    aspect = aspect || (gl.canvas ? gl.canvas.width / gl.canvas.height : 1);
+    var halfY = this.fov * Math.PI / 360;
+    var halfX = Math.atan(Math.tan(halfY) * aspect);
+    this.center = sphere.center.clone();
+    this.distance = Math.max(this.minDistance, Math.min(this.maxDistance,
+      sphere.radius / Math.sin(Math.min(halfX, halfY))));
+    this.pending = { angleX: 0, angleY: 0, pan: new Vector(), scale: 1 };
+  },
+
+  // ### .update([seconds])
+  //
+  // Applies the accumulated input. With damping, only part of it is applied and
+  // the rest carries over to later frames. All of it is applied when `seconds`
+  // is omitted, which is useful when not using `gl.animate()`.
+  update: function(seconds) {
+    var p = this.pending;
+    var f = this.damping && seconds ? 1 - Math.pow(this.damping, seconds * 60) : 1;
+    var scale = Math.pow(p.scale, f);
+    this.angleY += p.angleY * f;
+    this.angleX = Math.max(this.minAngleX, Math.min(this.maxAngleX, this.angleX + p.angleX * f));
+    this.center = this.center.add(p.pan.multiply(f));
+    this.distance = Math.max(this.minDistance, Math.min(this.maxDistance, this.distance * scale));
+    p.angleY -= p.angleY * f;
+    p.angleX -= p.angleX * f;
+    p.pan = p.pan.multiply(1 - f);
+    p.scale /= scale;
+  },
+
+  // ### .getEye()
+  //
+  // Returns the position of the eye in world space.
+  getEye: function() {
+    var a = this.angleX * Math.PI / 180, b = this.angleY * Math.PI / 180;
+    return this.center.add(new Vector(
+      -Math.cos(a) * Math.sin(b),
+      Math.sin(a),
+      Math.cos(a) * Math.cos(b)
+    ).multiply(this.distance));
+  },
+
+  // ### .getAxes()
+  //
+  // Returns the world space directions of the `right`, `up`, and `forward`
+  // axes of the view.
+  getAxes: function() {
+    var forward = this.center.subtract(this.getEye()).unit();
+    var right = forward.cross(new Vector(0, 1, 0)).unit();
+    return { right: right, up: right.cross(forward), forward: forward };
+  },
+
+  // ### .apply()
+  //
+  // Multiplies the current matrix by this camera's view transform using
+  // `gl.lookAt()`. This is usually called right after `gl.loadIdentity()`
+  // with the modelview matrix selected.
+  apply: function() {
+    var e = this.getEye(), c = this.center;
+    gl.lookAt(e.x, e.y, e.z, c.x, c.y, c.z, 0, 1, 0);
+  }
+};
+
+// ### new GL.FlyCamera([options])
+//
+// A first-person camera that moves with the W, A, S, and D keys (or the arrow
+// keys), rises with E, sinks with Q, and looks around with the mouse. Clicking
+// the canvas requests pointer lock so the mouse can turn the camera without
+// leaving the canvas. Without pointer lock, dragging turns the camera instead.
+// The keyboard state is read from `GL.keys` and the velocity is integrated by
+// `update(seconds)`, which is meant to be called from `gl.onupdate()`.
+//
+// Options:
+//
+//     var camera = new GL.FlyCamera({
+//       position: new GL.Vector(0, 0, 5), // The position of the eye
+//       angleX: 0,          // The pitch in degrees, positive looks down
+//       angleY: 0,          // The yaw in degrees, positive turns right
+//       minAngleX: -89,     // The pitch is clamped to this range
+//       maxAngleX: 89,
+//       speed: 4,           // The top speed in units per second
+//       acceleration: 20,   // The change in speed in units per second squared
+//       lookSpeed: 0.25,    // Degrees per pixel the mouse moves
+//       pointerLock: true   // Set to false to always look around by dragging
+//     });
+//
+// Example usage:
+//
+//     gl.onmousedown = function(e) { camera.onmousedown(e); };
+//     gl.onmousemove = function(e) { camera.onmousemove(e); };
+//
+//     gl.onupdate = function(seconds) {
+//       camera.update(seconds);
+//     };
+//
+//     gl.ondraw = function() {
+//       gl.loadIdentity();
+//       camera.apply();
+//       shader.draw(mesh);
+//     };
+function FlyCamera(options) {
+  options = options || {};
+  this.position = options.position || new Vector();
+  this.velocity = new Vector();
+  this.angleX = options.angleX || 0;
+  this.angleY = options.angleY || 0;
+  this.minAngleX = 'minAngleX' in options ? options.minAngleX : -89;
+  this.maxAngleX = 'maxAngleX' in options ? options.maxAngleX : 89;
+  this.speed = options.speed || 4;
+  this.acceleration = options.acceleration || 20;
+  this.lookSpeed = options.lookSpeed || 0.25;
+  this.pointerLock = !('pointerLock' in options) || options.pointerLock;
+}
+
+FlyCamera.prototype = {
+  // ### .onmousedown(e)
+  //
+  // Requests pointer lock on `gl.canvas`, which browsers only allow in
+  // response to user input like this.
+  onmousedown: function(e) {
+    if (this.pointerLock && !this.isLocked()) this.lock();
+  },
+
+  // ### .onmousemove(e)
+  //
+  // Turns the camera by the distance the mouse moved.
+  onmousemove: function(e) {
+    var o = e.original || e;
+    if (this.isLocked()) {
+      this.look(o.movementX || o.mozMovementX || o.webkitMovementX || 0,
+        o.movementY || o.mozMovementY || o.webkitMovementY || 0);
+    } else if (e.dragging) {
+      this.look(e.deltaX, e.deltaY);
+    }
+  },
+
+  // ### .look(pixelsX, pixelsY)
+  //
+  // Turns the camera as if the mouse moved by `pixelsX, pixelsY`.
+  look: function(pixelsX, pixelsY) {
+    this.angleY += pixelsX * this.lookSpeed;
+    this.angleX = Math.max(this.minAngleX, Math.min(this.maxAngleX, this.angleX + pixelsY * this.lookSpeed));
+  },
+
+  // ### .lock()
+  //
+  // Requests pointer lock on `gl.canvas`.
+  lock: function() {
+    var canvas = gl.canvas;
+    var request = canvas.requestPointerLock || canvas.mozRequestPointerLock || canvas.webkitRequestPointerLock;
+    if (request) request.call(canvas);
+  },
+
+  // ### .unlock()
+  //
+  // Releases pointer lock if it is active.
+  unlock: function() {
+    var exit = document.exitPointerLock || document.mozExitPointerLock || document.webkitExitPointerLock;
+    if (exit && this.isLocked()) exit.call(document);
+  },
+
+  // ### .isLocked()
+  //
+  // Returns true if `gl.canvas` currently has pointer lock.
+  isLocked: function() {
+    var element = document.pointerLockElement || document.mozPointerLockElement || document.webkitPointerLockElement;
+    return !!element && element == gl.canvas;
+  },
+
+  // ### .getAxes()
+  //
+  // Returns the world space directions of the `right`, `up`, and `forward`
+  // axes of the view.
+  getAxes: function() {
+    var a = this.angleX * Math.PI / 180, b = this.angleY * Math.PI / 180;
+    var forward = new Vector(Math.cos(a) * Math.sin(b), -Math.sin(a), -Math.cos(a) * Math.cos(b));
+    var right = new Vector(Math.cos(b), 0, Math.sin(b));
+    return { right: right, up: right.cross(forward), forward: forward };
+  },
+
+  // ### .update(seconds)
+  //
+  // Accelerates toward the velocity requested by the keyboard, which is zero
+  // when no keys are pressed, and then moves by that velocity.
+  update: function(seconds) {
+    var keys = GL.keys, axes = this.getAxes();
+    var forward = (keys.W || keys.UP || 0) - (keys.S || keys.DOWN || 0);
+    var right = (keys.D || keys.RIGHT || 0) - (keys.A || keys.LEFT || 0);
+    var up = (keys.E || 0) - (keys.Q || 0);
+    var target = axes.forward.multiply(forward).add(axes.right.multiply(right)).add(new Vector(0, up, 0));
+    if (target.length()) target = target.unit().multiply(this.speed);
+
+    // Limit the change in velocity to the acceleration.
+    var change = target.subtract(this.velocity);
+    var length = change.length(), limit = this.acceleration * seconds;
+    if (length > limit) change = change.multiply(limit / length);
+    this.velocity = this.velocity.add(change);
+    this.position = this.position.add(this.velocity.multiply(seconds));
+  },
+
+  // ### .apply()
+  //
+  // Multiplies the current matrix by this camera's view transform. This is
+  // usually called right after `gl.loadIdentity()` with the modelview matrix
+  // selected.
+  apply: function() {
+    var p = this.position;
+    gl.rotate(this.angleX, 1, 0, 0);
+    gl.rotate(this.angleY, 0, 1, 0);
+    gl.translate(-p.x, -p.y, -p.z);
+  }
+};
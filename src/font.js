@@ -0,0 +1,262 @@
+// Provides bitmap fonts for drawing text with `gl.drawText()`.
+
+// ### new GL.Font(texture, metrics)
+//
+// A font is a glyph atlas `texture` along with `metrics` describing where each
+// glyph is in the atlas, using the same layout as [BMFont](http://www.angelcode.com/products/bmfont/)
+// descriptors. All measurements are in atlas pixels:
+//
+//     var font = new GL.Font(texture, {
+//       lineHeight: 20, // Distance between the tops of two lines of text
+//       base: 16,       // Distance from the top of a line to the baseline
+//       chars: [
+//         // The glyph for character code 65 (A) is at x, y in the atlas.
+//         // The offsets move the glyph relative to the pen position at the
+//         // top of the line, and xadvance moves the pen to the next glyph.
+//         { id: 65, x: 0, y: 0, width: 12, height: 20, xoffset: 0, yoffset: 0, xadvance: 11 }
+//       ],
+//       kernings: [
+//         // Extra space between "A" and "V"
+//         { first: 65, second: 86, amount: -1 }
+//       ]
+//     });
+//
+// Most fonts are created with `GL.Font.fromCanvas()` or `GL.Font.fromBMFont()`
+// instead.
+function Font(texture, metrics) {
+  this.texture = texture;
+  this.lineHeight = metrics.lineHeight;
+  this.base = metrics.base;
+  this.glyphs = {};
+  this.kernings = {};
+  var chars = metrics.chars || [];
+  for (var i = 0; i < chars.length; i++) {
+    this.glyphs[chars[i].id] = chars[i];
+  }
+  var kernings = metrics.kernings || [];
+  for (var i = 0; i < kernings.length; i++) {
+    this.kernings[kernings[i].first + ',' + kernings[i].second] = kernings[i].amount;
+  }
+}
+
+Font.prototype = {
+  // ### .measure(string[, options])
+  //
+  // Returns the `width` and `height` of `string` in atlas pixels, along with
+  // the `lines` it was broken into. Lines are broken at `\n` and, when the
+  // `width` option is set, at the spaces that keep each line within `width`.
+  // Multiply by the `scale` passed to `gl.drawText()` to get the drawn size.
+  measure: function(string, options) {
+    options = options || {};
+    var lines = this.layout(string, options.width);
+    var width = 0;
+    for (var i = 0; i < lines.length; i++) {
+      width = Math.max(width, lines[i].width);
+    }
+    return { width: width, height: lines.length * this.lineHeight, lines: lines };
+  },
+
+  // ### .layout(string[, width])
+  //
+  // Breaks `string` into lines no wider than `width` (if given) and returns a
+  // list of `{ text, width }` objects. Words wider than `width` get a line of
+  // their own instead of being split.
+  layout: function(string, width) {
+    var paragraphs = String(string).split('\n');
+    var lines = [];
+    for (var i = 0; i < paragraphs.length; i++) {
+      if (!width) {
+        lines.push({ text: paragraphs[i], width: this.lineWidth(paragraphs[i]) });
+        continue;
+      }
+      var words = paragraphs[i].split(' ');
+      var line = words[0];
+      for (var j = 1; j < words.length; j++) {
+        var next = line + ' ' + words[j];
+        if (this.lineWidth(next) > width) {
+          lines.push({ text: line, width: this.lineWidth(line) });
+          line = words[j];
+        } else {
+          line = next;
+        }
+      }
+      lines.push({ text: line, width: this.lineWidth(line) });
+    }
+    return lines;
+  },
+
+  // ### .lineWidth(text)
+  //
+  // Returns the advance width of a single line of text, including kerning.
+  lineWidth: function(text) {
+    var width = 0, previous = null;
+    for (var i = 0; i < text.length; i++) {
+      var code = text.charCodeAt(i);
+      var glyph = this.glyph(code);
+      if (!glyph) continue;
+      if (previous !== null) width += this.kernings[previous + ',' + code] || 0;
+      width += glyph.xadvance;
+      previous = code;
+    }
+    return width;
+  },
+
+  // ### .glyph(code)
+  //
+  // Returns the glyph for the character code `code`, falling back to `?` for
+  // characters that aren't in the atlas. Returns `undefined` if there is no
+  // fallback either.
+  glyph: function(code) {
+    return this.glyphs[code] || this.glyphs[63];
+  }
+};
+
+// ### GL.Font.fromCanvas([options])
+//
+// Creates a font by drawing `characters` (printable ASCII by default) into a
+// glyph atlas with the canvas 2D API, so any font the browser can use works.
+// Sizes are in canvas pixels, so multiply `size` by `gl.pixelRatio` for crisp
+// text on high-DPI displays.
+//
+//     var font = GL.Font.fromCanvas({
+//       family: 'Helvetica, sans-serif', // Defaults to 'sans-serif'
+//       size: 16,                        // Defaults to 16
+//       weight: 'bold',                  // Defaults to 'normal'
+//       style: 'italic',                 // Defaults to 'normal'
+//       characters: '0123456789',        // Defaults to printable ASCII
+//       padding: 2                       // Space around each glyph, defaults to 2
+//     });
+Font.fromCanvas = function(options) {
+  options = options || {};
+  var size = options.size || 16;
+  var padding = 'padding' in options ? options.padding : 2;
+  var characters = options.characters;
+  if (!characters) {
+    characters = '';
+    for (var code = 32; code < 127; code++) characters += String.fromCharCode(code);
+  }
+  var css = (options.style || 'normal') + ' ' + (options.weight || 'normal') + ' ' +
+    size + 'px ' + (options.family || 'sans-serif');
+  var canvas = typeof document != 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(1, 1);
+  var c = canvas.getContext('2d');
+
+  // Measure every glyph first so the atlas can be sized to fit them.
+  c.font = css;
+  var metrics = c.measureText('Mg');
+  var ascent = Math.ceil(metrics.fontBoundingBoxAscent || size * 0.8);
+  var descent = Math.ceil(metrics.fontBoundingBoxDescent || size * 0.25);
+  var cellHeight = ascent + descent + padding * 2;
+  var advances = [], area = 0;
+  for (var i = 0; i < characters.length; i++) {
+    advances.push(c.measureText(characters[i]).width);
+    area += (Math.ceil(advances[i]) + padding * 2) * cellHeight;
+  }
+  var width = 64;
+  while (width * width < area) width *= 2;
+
+  // Pack the glyphs into rows.
+  var chars = [], x = 0, y = 0;
+  for (var i = 0; i < characters.length; i++) {
+    var cellWidth = Math.ceil(advances[i]) + padding * 2;
+    if (x + cellWidth > width) {
+      x = 0;
+      y += cellHeight;
+    }
+    chars.push({ id: characters.charCodeAt(i), x: x, y: y, width: cellWidth, height: cellHeight,
+      xoffset: -padding, yoffset: -padding, xadvance: advances[i] });
+    x += cellWidth;
+  }
+  var height = 64;
+  while (height < y + cellHeight) height *= 2;
+
+  // Resizing the canvas resets the context, so the font has to be set again.
+  canvas.width = width;
+  canvas.height = height;
+  c.font = css;
+  c.fillStyle = 'white';
+  c.textBaseline = 'alphabetic';
+  for (var i = 0; i < chars.length; i++) {
+    c.fillText(characters[i], chars[i].x + padding, chars[i].y + padding + ascent);
+  }
+  return new Font(Texture.fromImage(canvas), { lineHeight: ascent + descent, base: ascent, chars: chars });
+};
+
+// ### GL.Font.fromBMFont(descriptor, image)
+//
+// Creates a font from a BMFont `descriptor`, either the text format (the
+// contents of a `.fnt` file) or the JSON format (already parsed), and the
+// atlas `image`, which can also be a `GL.Texture`. Only single-page fonts are
+// supported.
+Font.fromBMFont = function(descriptor, image) {
+  if (typeof descriptor == 'string') descriptor = parseBMFont(descriptor);
+  var pages = descriptor.pages || [];
+  if (pages.length > 1) throw new Error('BMFont fonts with more than one page are not supported');
+  return new Font(image instanceof Texture ? image : Texture.fromImage(image), {
+    lineHeight: descriptor.common.lineHeight,
+    base: descriptor.common.base,
+    chars: descriptor.chars,
+    kernings: descriptor.kernings
+  });
+};
+
+// ### GL.Font.fromURL(url, callback)
+//
+// Loads a BMFont descriptor in the text or JSON format from `url` along with
+// the atlas image it refers to, which is resolved relative to `url`. Calls
+// `callback(font)` once both have loaded, or `callback(null, error)` if
+// loading fails.
+Font.fromURL = function(url, callback) {
+  var context = gl;
+  var request = new XMLHttpRequest();
+  request.onload = function() {
+    if (request.status >= 400) return callback(null, new Error('failed to load ' + url + ' (status ' + request.status + ')'));
+    var text = request.responseText, descriptor;
+    try {
+      descriptor = /^\s*\{/.test(text) ? JSON.parse(text) : parseBMFont(text);
+    } catch (e) {
+      return callback(null, e);
+    }
+    var image = new Image();
+    image.onload = function() {
+      context.makeCurrent();
+      callback(Font.fromBMFont(descriptor, image));
+    };
+    image.onerror = function() {
+      callback(null, new Error('failed to load ' + image.src));
+    };
+    image.src = url.replace(/[^\/]*$/, '') + descriptor.pages[0];
+  };
+  request.onerror = function() {
+    callback(null, new Error('failed to load ' + url));
+  };
+  request.open('GET', url);
+  request.send();
+};
+
+// Converts the BMFont text format into the same structure as the JSON format.
+// Each line starts with a tag followed by `key=value` pairs, and values are
+// numbers, comma-separated lists of numbers, or quoted strings.
+function parseBMFont(text) {
+  var font = { info: {}, common: {}, pages: [], chars: [], kernings: [] };
+  var lines = text.split(/\r?\n/);
+  for (var i = 0; i < lines.length; i++) {
+    var tag = /^(\w+)/.exec(lines[i]);
+    if (!tag) continue;
+    var values = {}, pattern = /(\w+)=("[^"]*"|\S+)/g, match;
+    while (match = pattern.exec(lines[i])) {
+      var value = match[2];
+      if (value.charAt(0) == '"') values[match[1]] = value.slice(1, -1);
+      else if (value.indexOf(',') != -1) values[match[1]] = value.split(',').map(Number);
+      else values[match[1]] = +value;
+    }
+    switch (tag[1]) {
+      case 'info': font.info = values; break;
+      case 'common': font.common = values; break;
+      case 'page': font.pages[values.id] = values.file; break;
+      case 'char': font.chars.push(values); break;
+      case 'kerning': font.kernings.push(values); break;
+    }
+  }
+  if (!font.common.lineHeight) throw new Error('invalid BMFont descriptor (missing "common" line)');
+  return font;
+}
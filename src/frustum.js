@@ -0,0 +1,87 @@
+// Provides view-frustum tests for skipping geometry that isn't visible.
+
+// ### new GL.Frustum(planes)
+//
+// A frustum is the region bounded by six planes, which are stored in `planes`
+// in the order left, right, bottom, top, near, far. Each plane is a
+// `GL.Plane` with its normal pointing into the frustum, so a point is on the
+// inside of the plane when its distance to the plane is at least zero.
+//
+// Frustums are usually created with `GL.Frustum.fromMatrix()`.
+function Frustum(planes) {
+  this.planes = planes;
+}
+
+Frustum.prototype = {
+  // ### .containsPoint(point)
+  //
+  // Returns true if `point` is inside the frustum.
+  containsPoint: function(point) {
+    for (var i = 0; i < 6; i++) {
+      if (this.planes[i].distanceTo(point) < 0) return false;
+    }
+    return true;
+  },
+
+  // ### .intersectsSphere(sphere)
+  //
+  // Returns true if any part of `sphere`, an object with a `center` vector and
+  // a `radius` like the one returned by `mesh.getBoundingSphere()`, is inside
+  // the frustum.
+  intersectsSphere: function(sphere) {
+    for (var i = 0; i < 6; i++) {
+      if (this.planes[i].distanceTo(sphere.center) < -sphere.radius) return false;
+    }
+    return true;
+  },
+
+  // ### .intersectsAABB(aabb)
+  //
+  // Returns true if any part of `aabb`, an object with `min` and `max`
+  // vectors like the one returned by `mesh.getAABB()`, is inside the
+  // frustum. For each plane this tests the corner of the box furthest along
+  // the plane normal, so it's exact for boxes that are outside of a single
+  // plane but may return true for some large boxes near the corners of the
+  // frustum. That is fine for culling, which only needs to be conservative.
+  intersectsAABB: function(aabb) {
+    var min = aabb.min, max = aabb.max;
+    for (var i = 0; i < 6; i++) {
+      var plane = this.planes[i], n = plane.normal;
+      var distance =
+        n.x * (n.x > 0 ? max.x : min.x) +
+        n.y * (n.y > 0 ? max.y : min.y) +
+        n.z * (n.z > 0 ? max.z : min.z) - plane.w;
+      if (distance < 0) return false;
+    }
+    return true;
+  }
+};
+
+// ### GL.Frustum.fromMatrix(matrix)
+//
+// Extracts the frustum from a combined projection and modelview matrix,
+// such as `gl.projectionMatrix.multiply(gl.modelviewMatrix)`. The frustum is
+// in the space the modelview matrix transforms from, so tests can use bounds
+// computed from untransformed vertices.
+//
+// This uses the method from "Fast Extraction of Viewing Frustum Planes from
+// the World-View-Projection Matrix" by Gribb and Hartmann: each plane is the
+// sum or difference of the last row and one of the other rows.
+Frustum.fromMatrix = function(matrix) {
+  var m = matrix.m, planes = [];
+  function plane(sign, row) {
+    var a = m[12] + sign * m[row * 4];
+    var b = m[13] + sign * m[row * 4 + 1];
+    var c = m[14] + sign * m[row * 4 + 2];
+    var d = m[15] + sign * m[row * 4 + 3];
+    var length = Math.sqrt(a * a + b * b + c * c);
+    planes.push(new Plane(new Vector(a / length, b / length, c / length), -d / length));
+  }
+  plane(1, 0);
+  plane(-1, 0);
+  plane(1, 1);
+  plane(-1, 1);
+  plane(1, 2);
+  plane(-1, 2);
+  return new Frustum(planes);
+};
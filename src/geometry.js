@@ -0,0 +1,307 @@
+// Provides rays, planes, and bounding volumes along with intersection tests
+// between them. Like `GL.Vector`, methods return new objects instead of
+// changing existing ones.
+
+// ### new GL.Ray([origin, direction])
+//
+// A ray starts at the point `origin` and travels along the vector
+// `direction`, which doesn't need to have a length of 1. Distances `t` along
+// the ray are measured in multiples of `direction`.
+function Ray(origin, direction) {
+  this.origin = origin || new Vector();
+  this.direction = direction || new Vector(0, 0, -1);
+}
+
+Ray.prototype = {
+  // ### .at(t)
+  //
+  // Returns the point `origin + direction * t`.
+  at: function(t) {
+    return this.origin.add(this.direction.multiply(t));
+  },
+
+  // ### .transform(matrix)
+  //
+  // Returns this ray transformed by `matrix`, keeping distances along the ray
+  // the same so hit tests against the transformed ray return the same `t`.
+  transform: function(matrix) {
+    return new Ray(matrix.transformPoint(this.origin), matrix.transformVector(this.direction));
+  },
+
+  // ### .closestPoint(point)
+  //
+  // Returns the point on the ray closest to `point`.
+  closestPoint: function(point) {
+    var t = point.subtract(this.origin).dot(this.direction) / this.direction.dot(this.direction);
+    return this.at(Math.max(0, t));
+  },
+
+  // ### .distanceTo(point)
+  distanceTo: function(point) {
+    return this.closestPoint(point).subtract(point).length();
+  },
+
+  // ### .intersectPlane(plane)
+  //
+  // Returns a `GL.HitTest` for where this ray crosses `plane` from either
+  // side, or `null` if it doesn't.
+  intersectPlane: function(plane) {
+    var denominator = plane.normal.dot(this.direction);
+    if (!denominator) return null;
+    var t = (plane.w - plane.normal.dot(this.origin)) / denominator;
+    return t > 0 ? new HitTest(t, this.at(t), plane.normal) : null;
+  },
+
+  // ### .intersectSphere(sphere)
+  intersectSphere: function(sphere) {
+    return Raytracer.hitTestSphere(this.origin, this.direction, sphere.center, sphere.radius);
+  },
+
+  // ### .intersectAABB(aabb)
+  intersectAABB: function(aabb) {
+    return Raytracer.hitTestBox(this.origin, this.direction, aabb.min, aabb.max);
+  },
+
+  // ### .intersectTriangle(a, b, c)
+  intersectTriangle: function(a, b, c) {
+    return Raytracer.hitTestTriangle(this.origin, this.direction, a, b, c);
+  }
+};
+
+// ### new GL.Plane(normal, w)
+//
+// A plane with the unit vector `normal` at the distance `w` from the origin,
+// so the points `p` on the plane are where `normal.dot(p) == w`. Points with a
+// positive distance are on the side the normal points toward.
+function Plane(normal, w) {
+  this.normal = normal;
+  this.w = w;
+}
+
+Plane.prototype = {
+  // ### .distanceTo(point)
+  //
+  // Returns the signed distance from the plane to `point`.
+  distanceTo: function(point) {
+    return this.normal.dot(point) - this.w;
+  },
+
+  // ### .closestPoint(point)
+  //
+  // Returns `point` projected onto the plane.
+  closestPoint: function(point) {
+    return point.subtract(this.normal.multiply(this.distanceTo(point)));
+  },
+
+  // ### .flip()
+  //
+  // Returns the same plane facing the other way.
+  flip: function() {
+    return new Plane(this.normal.negative(), -this.w);
+  },
+
+  // ### .transform(matrix)
+  //
+  // Returns this plane transformed by `matrix`. Normals are transformed by
+  // the inverse transpose so they stay perpendicular under non-uniform
+  // scaling.
+  transform: function(matrix) {
+    var point = matrix.transformPoint(this.normal.multiply(this.w));
+    var normal = Matrix.transpose(Matrix.inverse(matrix)).transformVector(this.normal);
+    return Plane.fromPointNormal(point, normal);
+  },
+
+  // ### .intersectsSphere(sphere)
+  intersectsSphere: function(sphere) {
+    return Math.abs(this.distanceTo(sphere.center)) <= sphere.radius;
+  },
+
+  // ### .intersectsAABB(aabb)
+  //
+  // Compares the distance to the center of the box with how far the box
+  // extends along the normal.
+  intersectsAABB: function(aabb) {
+    var n = this.normal, extent = aabb.getSize().divide(2);
+    var radius = Math.abs(n.x) * extent.x + Math.abs(n.y) * extent.y + Math.abs(n.z) * extent.z;
+    return Math.abs(this.distanceTo(aabb.getCenter())) <= radius;
+  }
+};
+
+// ### GL.Plane.fromPointNormal(point, normal)
+//
+// Returns the plane through `point` that is perpendicular to `normal`.
+Plane.fromPointNormal = function(point, normal) {
+  normal = normal.unit();
+  return new Plane(normal, normal.dot(point));
+};
+
+// ### GL.Plane.fromPoints(a, b, c)
+//
+// Returns the plane through the three points, facing the side from which
+// they appear counter-clockwise.
+Plane.fromPoints = function(a, b, c) {
+  return Plane.fromPointNormal(a, b.subtract(a).cross(c.subtract(a)));
+};
+
+// ### new GL.AABB([min, max])
+//
+// An axis-aligned bounding box from the corner `min` to the corner `max`.
+// Without arguments the box is empty, so expanding it by a point results in
+// a box containing only that point.
+function AABB(min, max) {
+  this.min = min || new Vector(Number.MAX_VALUE, Number.MAX_VALUE, Number.MAX_VALUE);
+  this.max = max || this.min.negative();
+}
+
+AABB.prototype = {
+  // ### .isEmpty()
+  isEmpty: function() {
+    return this.min.x > this.max.x || this.min.y > this.max.y || this.min.z > this.max.z;
+  },
+
+  // ### .getCenter()
+  getCenter: function() {
+    return this.min.add(this.max).divide(2);
+  },
+
+  // ### .getSize()
+  getSize: function() {
+    return this.max.subtract(this.min);
+  },
+
+  // ### .expand(point)
+  //
+  // Returns the smallest box that contains this box and `point`.
+  expand: function(point) {
+    return new AABB(Vector.min(this.min, point), Vector.max(this.max, point));
+  },
+
+  // ### .union(aabb)
+  //
+  // Returns the smallest box that contains this box and `aabb`.
+  union: function(aabb) {
+    return new AABB(Vector.min(this.min, aabb.min), Vector.max(this.max, aabb.max));
+  },
+
+  // ### .containsPoint(point)
+  containsPoint: function(p) {
+    return p.x >= this.min.x && p.y >= this.min.y && p.z >= this.min.z &&
+      p.x <= this.max.x && p.y <= this.max.y && p.z <= this.max.z;
+  },
+
+  // ### .containsAABB(aabb)
+  //
+  // Returns true if `aabb` is completely inside this box.
+  containsAABB: function(aabb) {
+    return this.containsPoint(aabb.min) && this.containsPoint(aabb.max);
+  },
+
+  // ### .closestPoint(point)
+  //
+  // Returns the point in the box closest to `point`, which is `point` itself
+  // when it's inside the box.
+  closestPoint: function(point) {
+    return Vector.min(Vector.max(point, this.min), this.max);
+  },
+
+  // ### .intersectsAABB(aabb)
+  intersectsAABB: function(aabb) {
+    return this.min.x <= aabb.max.x && this.max.x >= aabb.min.x &&
+      this.min.y <= aabb.max.y && this.max.y >= aabb.min.y &&
+      this.min.z <= aabb.max.z && this.max.z >= aabb.min.z;
+  },
+
+  // ### .intersectsSphere(sphere)
+  intersectsSphere: function(sphere) {
+    return this.closestPoint(sphere.center).subtract(sphere.center).length() <= sphere.radius;
+  },
+
+  // ### .transform(matrix)
+  //
+  // Returns the box that contains this box after it has been transformed by
+  // `matrix`. This is found by transforming all eight corners.
+  transform: function(matrix) {
+    var result = new AABB();
+    if (this.isEmpty()) return result;
+    for (var i = 0; i < 8; i++) {
+      result = result.expand(matrix.transformPoint(new Vector(
+        i & 1 ? this.max.x : this.min.x,
+        i & 2 ? this.max.y : this.min.y,
+        i & 4 ? this.max.z : this.min.z
+      )));
+    }
+    return result;
+  }
+};
+
+// ### new GL.Sphere([center, radius])
+function Sphere(center, radius) {
+  this.center = center || new Vector();
+  this.radius = radius || 0;
+}
+
+Sphere.prototype = {
+  // ### .expand(point)
+  //
+  // Returns the smallest sphere that contains this sphere and `point`.
+  expand: function(point) {
+    return this.union(new Sphere(point, 0));
+  },
+
+  // ### .union(sphere)
+  //
+  // Returns the smallest sphere that contains this sphere and `sphere`.
+  union: function(sphere) {
+    var offset = sphere.center.subtract(this.center), distance = offset.length();
+    if (distance + sphere.radius <= this.radius) return new Sphere(this.center, this.radius);
+    if (distance + this.radius <= sphere.radius) return new Sphere(sphere.center, sphere.radius);
+    var radius = (distance + this.radius + sphere.radius) / 2;
+    return new Sphere(this.center.add(offset.multiply((radius - this.radius) / distance)), radius);
+  },
+
+  // ### .containsPoint(point)
+  containsPoint: function(point) {
+    return point.subtract(this.center).length() <= this.radius;
+  },
+
+  // ### .containsSphere(sphere)
+  //
+  // Returns true if `sphere` is completely inside this sphere.
+  containsSphere: function(sphere) {
+    return sphere.center.subtract(this.center).length() + sphere.radius <= this.radius;
+  },
+
+  // ### .closestPoint(point)
+  //
+  // Returns the point in the sphere closest to `point`, which is `point`
+  // itself when it's inside the sphere.
+  closestPoint: function(point) {
+    var offset = point.subtract(this.center), distance = offset.length();
+    return distance <= this.radius ? point : this.center.add(offset.multiply(this.radius / distance));
+  },
+
+  // ### .intersectsSphere(sphere)
+  intersectsSphere: function(sphere) {
+    return sphere.center.subtract(this.center).length() <= this.radius + sphere.radius;
+  },
+
+  // ### .intersectsAABB(aabb)
+  intersectsAABB: function(aabb) {
+    return aabb.intersectsSphere(this);
+  },
+
+  // ### .transform(matrix)
+  //
+  // Returns a sphere that contains this sphere after it has been transformed
+  // by `matrix`. Non-uniform scaling turns the sphere into an ellipsoid, so
+  // the radius is scaled by the largest scale factor.
+  transform: function(matrix) {
+    var m = matrix.m;
+    var scale = Math.max(
+      new Vector(m[0], m[4], m[8]).length(),
+      new Vector(m[1], m[5], m[9]).length(),
+      new Vector(m[2], m[6], m[10]).length()
+    );
+    return new Sphere(matrix.transformPoint(this.center), this.radius * scale);
+  }
+};
@@ -6,20 +6,58 @@ var GL = {
   //
   // `GL.create()` creates a new WebGL context and augments it with more
   // methods. The alpha channel is disabled by default because it usually causes
-  // unintended transparencies in the canvas.
+  // unintended transparencies in the canvas. All other options are passed
+  // through as context attributes.
+  //
+  // A new 800x600 canvas is created unless one is passed in the `canvas`
+  // option, which can also be an `OffscreenCanvas` (in a worker, for example).
+  // A context that was created elsewhere, such as by a headless WebGL
+  // implementation running in Node, can be wrapped using the `context` option.
+  // Mouse, touch, and keyboard events are only hooked up for canvases that are
+  // part of a document.
+  //
+  //     var gl = GL.create({ canvas: document.getElementById('viewer') });
+  //     var gl = GL.create({ canvas: new OffscreenCanvas(256, 256) });
+  //     var gl = GL.create({ context: require('gl')(256, 256) });
+  //
+  // Set the `webgl2` option to request a WebGL 2 context, which falls back to
+  // WebGL 1 when WebGL 2 isn't available. Check `gl.capabilities.version` to
+  // see which one you got.
+  //
+  // Set the `debug` option to check for errors after every WebGL call. Errors
+  // are thrown as exceptions that name the function and its arguments, so the
+  // stack trace points at the call that caused them. Mistakes that WebGL would
+  // silently ignore, like drawing buffers that were never compiled, also throw.
+  // This is slow and meant for tracking down problems during development.
+  //
+  // Set the `restoreOnContextLoss` option to recreate buffers, textures, and
+  // shaders automatically after the context is lost, as described in "Context
+  // loss" below. Resources then have to be freed with `destroy()`.
   create: function(options) {
     options = options || {};
-    var canvas = document.createElement('canvas');
-    canvas.width = 800;
-    canvas.height = 600;
-    if (!('alpha' in options)) options.alpha = false;
-    try { gl = canvas.getContext('webgl', options); } catch (e) {}
-    try { gl = gl || canvas.getContext('experimental-webgl', options); } catch (e) {}
+    gl = options.context || null;
+    if (!gl) {
+      var canvas = options.canvas;
+      if (!canvas) {
+        canvas = document.createElement('canvas');
+        canvas.width = 800;
+        canvas.height = 600;
+      }
+      if (!('alpha' in options)) options.alpha = false;
+      if (options.webgl2) try { gl = canvas.getContext('webgl2', options); } catch (e) {}
+      try { gl = gl || canvas.getContext('webgl', options); } catch (e) {}
+      try { gl = gl || canvas.getContext('experimental-webgl', options); } catch (e) {}
+    }
     if (!gl) throw new Error('WebGL not supported');
+    if (options.debug) addDebugging();
     gl.HALF_FLOAT_OES = 0x8D61;
+    addCapabilities();
+    addContextLoss(options);
     addMatrixStack();
     addImmediateMode();
-    addEventListeners();
+    addAttribStack();
+    addStats();
+    if (hasDocumentCanvas(gl.canvas)) addEventListeners();
     addOtherMethods();
     return gl;
   },
@@ -29,21 +67,190 @@ var GL = {
   keys: {},
 
   // Export all external classes.
+  OrbitCamera: OrbitCamera,
+  FlyCamera: FlyCamera,
+  Font: Font,
+  Frustum: Frustum,
+  Ray: Ray,
+  Plane: Plane,
+  AABB: AABB,
+  Sphere: Sphere,
   Matrix: Matrix,
   Indexer: Indexer,
   Buffer: Buffer,
   Mesh: Mesh,
+  Quaternion: Quaternion,
   HitTest: HitTest,
   Raytracer: Raytracer,
   Shader: Shader,
+  SpriteBatch: SpriteBatch,
   Texture: Texture,
-  Vector: Vector
+  Vector: Vector,
+  Vector2: Vector2,
+  Vector4: Vector4
+};
+
+// ### Debugging
+//
+// Wrap every WebGL function of the context so it checks `gl.getError()` after
+// each call. This has to happen before any other methods are added so that
+// the methods lightgl wraps, like `gl.enable()`, are checked too.
+
+var errorNames = {
+  0x0500: 'INVALID_ENUM',
+  0x0501: 'INVALID_VALUE',
+  0x0502: 'INVALID_OPERATION',
+  0x0505: 'OUT_OF_MEMORY',
+  0x0506: 'INVALID_FRAMEBUFFER_OPERATION'
 };
 
+function describeArgument(value) {
+  if (typeof value == 'string') return JSON.stringify(value.length > 40 ? value.substr(0, 40) + '...' : value);
+  if (value && typeof value == 'object' && typeof value.length == 'number') {
+    return '[' + Array.prototype.slice.call(value, 0, 16).join(', ') + (value.length > 16 ? ', ...' : '') + ']';
+  }
+  if (value && typeof value == 'object') return Object.prototype.toString.call(value);
+  return String(value);
+}
+
+function addDebugging() {
+  var context = gl, getError = gl.getError, isContextLost = gl.isContextLost;
+  gl.debug = true;
+  function wrap(name, original) {
+    return function() {
+      var result = original.apply(context, arguments);
+      var error = getError.call(context);
+      if (error != context.NO_ERROR && !isContextLost.call(context)) {
+        var args = Array.prototype.map.call(arguments, describeArgument).join(', ');
+        throw new Error('WebGL error ' + (errorNames[error] || error) + ' in ' + name + '(' + args + ')');
+      }
+      return result;
+    };
+  }
+  for (var name in gl) {
+    if (typeof gl[name] == 'function' && name != 'getError' && name != 'isContextLost') {
+      gl[name] = wrap(name, gl[name]);
+    }
+  }
+}
+
+// ### Capabilities
+//
+// `gl.capabilities` describes what the context can do, so code can pick the
+// native WebGL 2 path when there is one and fall back to WebGL 1 extensions
+// otherwise. Looking up an extension also enables it. It has these properties:
+//
+// * `version`: `2` for WebGL 2 and `1` for WebGL 1
+// * `maxTextureSize`: the largest supported texture width or height
+// * `floatTextures`: whether textures of type `gl.FLOAT` are supported
+// * `floatRenderTargets`: whether textures of type `gl.FLOAT` can be drawn to
+// * `instancing`: whether instanced drawing is supported
+// * `vertexArrayObjects`: whether vertex array objects are supported
+// * `uintIndices`: whether index buffers can use 32-bit indices
+
+function addCapabilities() {
+  var version = /WebGL 2/.test(gl.getParameter(gl.VERSION)) ? 2 : 1;
+  var floatTextures = version == 2 || !!gl.getExtension('OES_texture_float');
+  gl.capabilities = {
+    version: version,
+    maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+    floatTextures: floatTextures,
+    floatRenderTargets: version == 2 ? !!gl.getExtension('EXT_color_buffer_float') :
+      floatTextures && (!!gl.getExtension('WEBGL_color_buffer_float') || canRenderToFloat()),
+    instancing: version == 2 || !!gl.getExtension('ANGLE_instanced_arrays'),
+    vertexArrayObjects: version == 2 || !!gl.getExtension('OES_vertex_array_object'),
+    uintIndices: version == 2 || !!gl.getExtension('OES_element_index_uint')
+  };
+}
+
+// Some WebGL 1 implementations can render to floating-point textures without
+// exposing `WEBGL_color_buffer_float`, so the only way to know is to try.
+function canRenderToFloat() {
+  var texture = gl.createTexture();
+  var framebuffer = gl.createFramebuffer();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.FLOAT, null);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+  var result = gl.checkFramebufferStatus(gl.FRAMEBUFFER) == gl.FRAMEBUFFER_COMPLETE;
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  gl.deleteFramebuffer(framebuffer);
+  gl.deleteTexture(texture);
+  return result;
+}
+
+// ### Context loss
+//
+// The browser can take the WebGL context away at any time (after a GPU reset,
+// for example), which invalidates every buffer, texture, and shader.
+// `gl.oncontextlost()` is called when the context is lost, and
+// `gl.oncontextrestored()` is called when it comes back.
+//
+// Contexts created with the `restoreOnContextLoss` option also record every
+// `GL.Buffer`, `GL.Texture`, and `GL.Shader` in `gl.resources` and recreate
+// them from the data they were created with before `gl.oncontextrestored()`
+// is called. **This keeps every resource alive until its `destroy()` method
+// is called**, so code that creates resources as it goes (like rebuilding a
+// mesh every frame) must destroy the old ones instead of just dropping them.
+// That's why it's off by default, in which case resources are freed by
+// garbage collection and nothing is restored.
+//
+// Other state like `gl.enable()` flags and the clear color must be set again
+// in `gl.oncontextrestored()`, as must the contents of textures that were
+// drawn to.
+
+function addContextLoss(options) {
+  var context = gl;
+  gl.resources = [];
+  gl.restoreOnContextLoss = !!options.restoreOnContextLoss;
+  if (!gl.canvas || !gl.canvas.addEventListener) return;
+  on(gl.canvas, 'webglcontextlost', function(e) {
+    gl = context;
+    // Without this, the context will never be restored.
+    e.preventDefault();
+    if (gl.oncontextlost) gl.oncontextlost(e);
+  });
+  on(gl.canvas, 'webglcontextrestored', function(e) {
+    gl = context;
+    addCapabilities();
+    framebuffer = renderbuffer = null;
+    for (var i = 0; i < gl.resources.length; i++) {
+      gl.resources[i].restore();
+    }
+    if (gl.oncontextrestored) gl.oncontextrestored(e);
+  });
+}
+
+// Records a resource that must be recreated when the context is restored, if
+// the context was created with `restoreOnContextLoss`.
+function trackResource(resource) {
+  if (gl.restoreOnContextLoss) gl.resources.push(resource);
+}
+
+// Forgets a resource recorded with `trackResource()`.
+function untrackResource(resource) {
+  var index = gl.resources.indexOf(resource);
+  if (index != -1) gl.resources.splice(index, 1);
+}
+
 // ### Matrix stack
 //
-// Implement the OpenGL modelview and projection matrix stacks, along with some
-// other useful GLU matrix functions.
+// Implement the OpenGL modelview, projection, and texture matrix stacks, along
+// with some other useful GLU matrix functions. The texture matrix mode uses
+// the standard `gl.TEXTURE` enum, just like OpenGL does, and its matrix is
+// available to shaders as `gl_TextureMatrix`:
+//
+//     gl.matrixMode(gl.TEXTURE);
+//     gl.loadIdentity();
+//     gl.translate(time, 0, 0);
+//     gl.matrixMode(gl.MODELVIEW);
+//
+// Shaders compare the matrices against a copy of the ones they last drew
+// with and skip recomputing and uploading the built-in matrices when nothing
+// changed, so the matrices can also be changed by writing to the elements of
+// `gl.modelviewMatrix.m` directly or by assigning a different `GL.Matrix`.
+// Pushing and popping reuses the saved arrays to avoid generating garbage.
 
 function addMatrixStack() {
   gl.MODELVIEW = ENUM | 1;
@@ -52,8 +259,11 @@ function addMatrixStack() {
   var resultMatrix = new Matrix();
   gl.modelviewMatrix = new Matrix();
   gl.projectionMatrix = new Matrix();
+  gl.textureMatrix = new Matrix();
   var modelviewStack = [];
   var projectionStack = [];
+  var textureStack = [];
+  var pool = [];
   var matrix, stack;
   gl.matrixMode = function(mode) {
     switch (mode) {
@@ -65,6 +275,10 @@ function addMatrixStack() {
         matrix = 'projectionMatrix';
         stack = projectionStack;
         break;
+      case gl.TEXTURE:
+        matrix = 'textureMatrix';
+        stack = textureStack;
+        break;
       default:
         throw new Error('invalid matrix mode ' + mode);
     }
@@ -99,15 +313,27 @@ function addMatrixStack() {
   gl.rotate = function(a, x, y, z) {
     gl.multMatrix(Matrix.rotate(a, x, y, z, tempMatrix));
   };
+  gl.rotateQuaternion = function(q) {
+    gl.multMatrix(Quaternion.toMatrix(q, tempMatrix));
+  };
   gl.lookAt = function(ex, ey, ez, cx, cy, cz, ux, uy, uz) {
     gl.multMatrix(Matrix.lookAt(ex, ey, ez, cx, cy, cz, ux, uy, uz, tempMatrix));
   };
   gl.pushMatrix = function() {
-    stack.push(Array.prototype.slice.call(gl[matrix].m));
+    var saved = pool.pop() || (hasFloat32Array ? new Float32Array(16) : []), m = gl[matrix].m;
+    for (var i = 0; i < 16; i++) {
+      saved[i] = m[i];
+    }
+    stack.push(saved);
   };
   gl.popMatrix = function() {
-    var m = stack.pop();
-    gl[matrix].m = hasFloat32Array ? new Float32Array(m) : m;
+    var saved = stack.pop();
+    if (!saved) throw new Error('gl.popMatrix() called without a matching gl.pushMatrix()');
+    var m = gl[matrix].m;
+    for (var i = 0; i < 16; i++) {
+      m[i] = saved[i];
+    }
+    pool.push(saved);
   };
   gl.project = function(objX, objY, objZ, modelview, projection, viewport) {
     modelview = modelview || gl.modelviewMatrix;
@@ -141,23 +367,98 @@ function addMatrixStack() {
 // idea for performance. You should use a `GL.Mesh` instead, which specifies
 // the geometry once and caches it on the graphics card. Still, nothing
 // beats a quick `gl.begin(gl.POINTS); gl.vertex(1, 2, 3); gl.end();` for
-// debugging. This intentionally doesn't implement fixed-function lighting
-// because it's only meant for quick debugging tasks.
+// debugging.
+//
+// `gl.vertex()`, `gl.normal()`, `gl.texCoord()`, and `gl.color()` also take a
+// single vector. A `GL.Vector` passed to `gl.color()` gets an alpha of 1, and
+// a `GL.Vector4` is used as is.
+//
+// ### Lighting
+//
+// Lighting is off by default. Call `gl.enable(gl.LIGHTING)` to shade geometry
+// using the Blinn-Phong model with the normals from `gl.normal()`, which are
+// transformed by `gl_NormalMatrix`. Up to `gl.MAX_LIGHTS` lights can be set
+// with `gl.light(index, params)`, where `params` can contain `position` (a
+// point if `w` is 1, or a direction towards the light if `w` is 0), `ambient`,
+// `diffuse`, `specular`, and `enabled`. Like in OpenGL, light positions are
+// transformed by the modelview matrix at the time `gl.light()` is called, and
+// light 0 starts out as a white light shining along the view direction. The
+// surface is set with `gl.material(params)`, where `params` can contain
+// `ambient`, `diffuse`, `specular`, `emission`, and `shininess`. The ambient
+// and diffuse material colors are multiplied by the color from `gl.color()`.
+// Lighting is computed per vertex by default, and per pixel after calling
+// `gl.lightModel({ perPixel: true })`, which also takes a global `ambient`.
+//
+//     gl.enable(gl.LIGHTING);
+//     gl.light(0, { position: [1, 2, 3, 0], diffuse: [1, 0.9, 0.8, 1] });
+//     gl.material({ specular: [1, 1, 1, 1], shininess: 32 });
+//     gl.begin(gl.TRIANGLES);
+//     gl.normal(0, 0, 1);
+//     gl.vertex(0, 0, 0);
+//     gl.vertex(1, 0, 0);
+//     gl.vertex(0, 1, 0);
+//     gl.end();
+//
+// ### Quads, polygons, and display lists
+//
+// In addition to the WebGL primitive modes, `gl.begin()` accepts `gl.QUADS`,
+// `gl.QUAD_STRIP`, and `gl.POLYGON`, which are split into triangles before
+// drawing. Polygons must be convex.
+//
+// Geometry that doesn't change can be recorded into a display list so it's
+// only uploaded once. All `gl.begin()` and `gl.end()` blocks between
+// `gl.newList()` and `gl.endList()` are stored in the list instead of being
+// drawn, and `gl.callList(list)` draws them again. Only the geometry is
+// recorded, so matrices, lighting, textures, and the point size come from the
+// state at the time `gl.callList()` is called.
+//
+//     var list = gl.newList();
+//     gl.begin(gl.QUADS);
+//     gl.vertex(0, 0, 0);
+//     gl.vertex(1, 0, 0);
+//     gl.vertex(1, 1, 0);
+//     gl.vertex(0, 1, 0);
+//     gl.end();
+//     gl.endList();
+//
+//     gl.ondraw = function() {
+//       gl.callList(list);
+//     };
+//
+// `gl.deleteList(list)` frees the GPU buffers of a list that's no longer
+// needed. Calling a deleted list draws nothing.
 
 function addImmediateMode() {
+  gl.LIGHTING = ENUM | 3;
+  gl.QUADS = ENUM | 4;
+  gl.QUAD_STRIP = ENUM | 5;
+  gl.POLYGON = ENUM | 6;
+  gl.MAX_LIGHTS = 4;
+  var context = gl, enable = gl.enable, disable = gl.disable, isEnabled = gl.isEnabled;
   var immediateMode = {
-    mesh: new Mesh({ coords: true, colors: true, triangles: false }),
+    mesh: new Mesh({ coords: true, colors: true, normals: true, triangles: false }),
     mode: -1,
     coord: [0, 0, 0, 0],
     color: [1, 1, 1, 1],
+    normal: [0, 0, 1],
     pointSize: 1,
+    lighting: false,
+    perPixel: false,
+    lightUniforms: {
+      sceneAmbient: [0.2, 0.2, 0.2, 1],
+      materialAmbient: [0.2, 0.2, 0.2, 1],
+      materialDiffuse: [0.8, 0.8, 0.8, 1],
+      materialSpecular: [0, 0, 0, 1],
+      materialEmission: [0, 0, 0, 1],
+      materialShininess: 0
+    },
     shader: new Shader('\
       uniform float pointSize;\
       varying vec4 color;\
       varying vec4 coord;\
       void main() {\
         color = gl_Color;\
-        coord = gl_TexCoord;\
+        coord = gl_TextureMatrix * gl_TexCoord;\
         gl_Position = gl_ModelViewProjectionMatrix * gl_Vertex;\
         gl_PointSize = pointSize;\
       }\
@@ -171,37 +472,527 @@ function addImmediateMode() {
         gl_FragColor = color;\
         if (useTexture) gl_FragColor *= texture2D(texture, coord.xy);\
       }\
-    ')
+    '),
+    vertexLightingShader: null,
+    pixelLightingShader: null,
+    list: null
+  };
+  for (var i = 0; i < gl.MAX_LIGHTS; i++) {
+    immediateMode.lightUniforms['lightPosition[' + i + ']'] = [0, 0, 1, 0];
+    immediateMode.lightUniforms['lightAmbient[' + i + ']'] = [0, 0, 0, 1];
+    immediateMode.lightUniforms['lightDiffuse[' + i + ']'] = i ? [0, 0, 0, 1] : [1, 1, 1, 1];
+    immediateMode.lightUniforms['lightSpecular[' + i + ']'] = i ? [0, 0, 0, 1] : [1, 1, 1, 1];
+    immediateMode.lightUniforms['lightEnabled[' + i + ']'] = !i;
+  }
+  function lightingShader(perPixel) {
+    var n = gl.MAX_LIGHTS;
+    var shade = '\
+      uniform vec4 lightPosition[' + n + '];\
+      uniform vec4 lightAmbient[' + n + '];\
+      uniform vec4 lightDiffuse[' + n + '];\
+      uniform vec4 lightSpecular[' + n + '];\
+      uniform bool lightEnabled[' + n + '];\
+      uniform vec4 sceneAmbient;\
+      uniform vec4 materialAmbient;\
+      uniform vec4 materialDiffuse;\
+      uniform vec4 materialSpecular;\
+      uniform vec4 materialEmission;\
+      uniform float materialShininess;\
+      vec4 shade(vec3 position, vec3 normal, vec4 color) {\
+        vec3 N = normalize(normal);\
+        vec3 V = normalize(-position);\
+        vec4 ambient = materialAmbient * color;\
+        vec4 diffuse = materialDiffuse * color;\
+        vec3 result = materialEmission.rgb + sceneAmbient.rgb * ambient.rgb;\
+        for (int i = 0; i < ' + n + '; i++) {\
+          if (lightEnabled[i]) {\
+            vec4 p = lightPosition[i];\
+            vec3 L = normalize(p.w == 0.0 ? p.xyz : p.xyz - position);\
+            float NdotL = max(dot(N, L), 0.0);\
+            float NdotH = max(dot(N, normalize(L + V)), 0.0);\
+            float specular = NdotL > 0.0 ? pow(NdotH, materialShininess) : 0.0;\
+            result += lightAmbient[i].rgb * ambient.rgb;\
+            result += lightDiffuse[i].rgb * diffuse.rgb * NdotL;\
+            result += lightSpecular[i].rgb * materialSpecular.rgb * specular;\
+          }\
+        }\
+        return vec4(result, diffuse.a);\
+      }\
+    ';
+    return new Shader((perPixel ? '' : shade) + '\
+      uniform float pointSize;\
+      varying vec4 color;\
+      varying vec4 coord;\
+      varying vec3 position;\
+      varying vec3 normal;\
+      void main() {\
+        position = (gl_ModelViewMatrix * gl_Vertex).xyz;\
+        normal = gl_NormalMatrix * gl_Normal;\
+        color = ' + (perPixel ? 'gl_Color' : 'shade(position, normal, gl_Color)') + ';\
+        coord = gl_TextureMatrix * gl_TexCoord;\
+        gl_Position = gl_ModelViewProjectionMatrix * gl_Vertex;\
+        gl_PointSize = pointSize;\
+      }\
+    ', (perPixel ? shade : '') + '\
+      uniform sampler2D texture;\
+      uniform bool useTexture;\
+      varying vec4 color;\
+      varying vec4 coord;\
+      varying vec3 position;\
+      varying vec3 normal;\
+      void main() {\
+        gl_FragColor = ' + (perPixel ? 'shade(position, normal, color)' : 'color') + ';\
+        if (useTexture) gl_FragColor *= texture2D(texture, coord.xy);\
+      }\
+    ');
+  }
+  function currentShader() {
+    if (!immediateMode.lighting) return immediateMode.shader;
+    if (immediateMode.perPixel) {
+      return immediateMode.pixelLightingShader = immediateMode.pixelLightingShader || lightingShader(true);
+    }
+    return immediateMode.vertexLightingShader = immediateMode.vertexLightingShader || lightingShader(false);
+  }
+  // Returns the order in which to visit the vertices of the emulated modes to
+  // form a list of triangles, or null for the modes that WebGL supports.
+  function triangulate(mode, count) {
+    var order = [];
+    if (mode == gl.QUADS) {
+      for (var i = 0; i + 3 < count; i += 4) order.push(i, i + 1, i + 2, i, i + 2, i + 3);
+    } else if (mode == gl.QUAD_STRIP) {
+      for (var i = 0; i + 3 < count; i += 2) order.push(i, i + 1, i + 3, i, i + 3, i + 2);
+    } else if (mode == gl.POLYGON) {
+      for (var i = 1; i + 1 < count; i++) order.push(0, i, i + 1);
+    } else {
+      return null;
+    }
+    return order;
+  }
+  function draw(mesh, mode) {
+    var shader = currentShader();
+    if (immediateMode.lighting) shader.uniforms(immediateMode.lightUniforms);
+    shader.uniforms({
+      pointSize: immediateMode.pointSize,
+      useTexture: !!gl.getParameter(gl.TEXTURE_BINDING_2D)
+    }).drawBuffers(mesh.vertexBuffers, null, mode);
+  }
+  function record(mesh, mode) {
+    // Consecutive blocks of independent primitives are merged into one mesh.
+    var batches = immediateMode.list.batches, last = batches[batches.length - 1];
+    if (!last || last.mode != mode || (mode != gl.POINTS && mode != gl.LINES && mode != gl.TRIANGLES)) {
+      last = { mode: mode, mesh: new Mesh({ coords: true, colors: true, normals: true, triangles: false }) };
+      batches.push(last);
+    }
+    for (var attribute in mesh.vertexBuffers) {
+      var name = mesh.vertexBuffers[attribute].name;
+      last.mesh[name] = last.mesh[name].concat(mesh[name]);
+    }
+  }
+  gl.enable = function(cap) {
+    if (cap == gl.LIGHTING) immediateMode.lighting = true;
+    else enable.call(context, cap);
+  };
+  gl.disable = function(cap) {
+    if (cap == gl.LIGHTING) immediateMode.lighting = false;
+    else disable.call(context, cap);
+  };
+  gl.isEnabled = function(cap) {
+    return cap == gl.LIGHTING ? immediateMode.lighting : isEnabled.call(context, cap);
+  };
+  gl.light = function(index, params) {
+    if (index < 0 || index >= gl.MAX_LIGHTS) throw new Error('invalid light index ' + index);
+    var uniforms = immediateMode.lightUniforms, suffix = '[' + index + ']';
+    if (params.position) {
+      // Store the position in eye space, like OpenGL does.
+      var p = params.position, m = gl.modelviewMatrix.m, w = p.length > 3 ? p[3] : 1;
+      uniforms['lightPosition' + suffix] = [
+        m[0] * p[0] + m[1] * p[1] + m[2] * p[2] + m[3] * w,
+        m[4] * p[0] + m[5] * p[1] + m[6] * p[2] + m[7] * w,
+        m[8] * p[0] + m[9] * p[1] + m[10] * p[2] + m[11] * w,
+        w
+      ];
+    }
+    if (params.ambient) uniforms['lightAmbient' + suffix] = params.ambient;
+    if (params.diffuse) uniforms['lightDiffuse' + suffix] = params.diffuse;
+    if (params.specular) uniforms['lightSpecular' + suffix] = params.specular;
+    uniforms['lightEnabled' + suffix] = !('enabled' in params) || !!params.enabled;
+  };
+  gl.material = function(params) {
+    var uniforms = immediateMode.lightUniforms;
+    if (params.ambient) uniforms.materialAmbient = params.ambient;
+    if (params.diffuse) uniforms.materialDiffuse = params.diffuse;
+    if (params.specular) uniforms.materialSpecular = params.specular;
+    if (params.emission) uniforms.materialEmission = params.emission;
+    if ('shininess' in params) uniforms.materialShininess = params.shininess;
+  };
+  gl.lightModel = function(params) {
+    if (params.ambient) immediateMode.lightUniforms.sceneAmbient = params.ambient;
+    if ('perPixel' in params) immediateMode.perPixel = !!params.perPixel;
   };
   gl.pointSize = function(pointSize) {
-    immediateMode.shader.uniforms({ pointSize: pointSize });
+    immediateMode.pointSize = pointSize;
   };
   gl.begin = function(mode) {
     if (immediateMode.mode != -1) throw new Error('mismatched gl.begin() and gl.end() calls');
     immediateMode.mode = mode;
     immediateMode.mesh.colors = [];
     immediateMode.mesh.coords = [];
+    immediateMode.mesh.normals = [];
     immediateMode.mesh.vertices = [];
   };
   gl.color = function(r, g, b, a) {
-    immediateMode.color = (arguments.length == 1) ? r.toArray().concat(1) : [r, g, b, a || 1];
+    immediateMode.color = (arguments.length == 1) ? (r instanceof Vector4 ? r.toArray() : r.toArray().concat(1)) : [r, g, b, a || 1];
   };
   gl.texCoord = function(s, t) {
     immediateMode.coord = (arguments.length == 1) ? s.toArray(2) : [s, t];
   };
+  gl.normal = function(x, y, z) {
+    immediateMode.normal = (arguments.length == 1) ? x.toArray() : [x, y, z];
+  };
   gl.vertex = function(x, y, z) {
     immediateMode.mesh.colors.push(immediateMode.color);
     immediateMode.mesh.coords.push(immediateMode.coord);
+    immediateMode.mesh.normals.push(immediateMode.normal);
     immediateMode.mesh.vertices.push(arguments.length == 1 ? x.toArray() : [x, y, z]);
   };
   gl.end = function() {
     if (immediateMode.mode == -1) throw new Error('mismatched gl.begin() and gl.end() calls');
-    immediateMode.mesh.compile();
-    immediateMode.shader.uniforms({
-      useTexture: !!gl.getParameter(gl.TEXTURE_BINDING_2D)
-    }).draw(immediateMode.mesh, immediateMode.mode);
+    var mesh = immediateMode.mesh, mode = immediateMode.mode;
+    var order = triangulate(mode, mesh.vertices.length);
+    if (order) {
+      for (var attribute in mesh.vertexBuffers) {
+        var data = mesh[mesh.vertexBuffers[attribute].name];
+        mesh[mesh.vertexBuffers[attribute].name] = order.map(function(i) { return data[i]; });
+      }
+      mode = gl.TRIANGLES;
+    }
+    if (immediateMode.list) {
+      record(mesh, mode);
+    } else {
+      mesh.compile();
+      draw(mesh, mode);
+    }
     immediateMode.mode = -1;
   };
+  gl.newList = function() {
+    if (immediateMode.list) throw new Error('mismatched gl.newList() and gl.endList() calls');
+    return immediateMode.list = { batches: [] };
+  };
+  gl.endList = function() {
+    var list = immediateMode.list;
+    if (!list) throw new Error('mismatched gl.newList() and gl.endList() calls');
+    if (immediateMode.mode != -1) throw new Error('gl.endList() called between gl.begin() and gl.end()');
+    for (var i = 0; i < list.batches.length; i++) {
+      list.batches[i].mesh.compile();
+    }
+    immediateMode.list = null;
+    return list;
+  };
+  gl.callList = function(list) {
+    for (var i = 0; i < list.batches.length; i++) {
+      draw(list.batches[i].mesh, list.batches[i].mode);
+    }
+  };
+  gl.deleteList = function(list) {
+    if (list == immediateMode.list) throw new Error('gl.deleteList() called before gl.endList()');
+    for (var i = 0; i < list.batches.length; i++) {
+      list.batches[i].mesh.destroy();
+    }
+    list.batches = [];
+  };
+}
+
+// ### Attribute stack
+//
+// Implement OpenGL's `glPushAttrib()` and `glPopAttrib()`, which save and
+// restore groups of render state. `gl.pushAttrib(mask)` saves the groups in
+// `mask` and `gl.popAttrib()` restores the most recently saved groups. The
+// groups are:
+//
+// * `gl.COLOR_BUFFER_BIT`: blending (including `gl.BLEND`), `gl.DITHER`, the
+//   color mask, and the clear color
+// * `gl.DEPTH_BUFFER_BIT`: `gl.DEPTH_TEST`, the depth function, the depth
+//   mask, and the clear depth
+// * `gl.POLYGON_BIT`: `gl.CULL_FACE`, the cull face, the front face,
+//   `gl.POLYGON_OFFSET_FILL`, and the polygon offset
+// * `gl.VIEWPORT_BIT`: the viewport and the depth range
+// * `gl.SCISSOR_BIT`: `gl.SCISSOR_TEST` and the scissor box
+// * `gl.ENABLE_BIT`: every flag toggled with `gl.enable()`, including
+//   `gl.LIGHTING`
+// * `gl.ALL_ATTRIB_BITS`: all of the above
+//
+// This works by wrapping the WebGL functions that change this state to keep a
+// copy of it, which is only read back from WebGL once when the context is
+// created. This also makes `gl.isEnabled()` cheap for these flags.
+//
+//     gl.pushAttrib(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+//     gl.enable(gl.BLEND);
+//     gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+//     gl.depthMask(false);
+//     drawTransparentThings();
+//     gl.popAttrib();
+
+function addAttribStack() {
+  gl.POLYGON_BIT = 0x8;
+  gl.VIEWPORT_BIT = 0x800;
+  gl.ENABLE_BIT = 0x2000;
+  gl.SCISSOR_BIT = 0x80000;
+  gl.ALL_ATTRIB_BITS = 0xFFFFFFFF;
+  var context = gl, state = {}, enabled = {}, stack = [];
+  var enable = gl.enable, disable = gl.disable, isEnabled = gl.isEnabled;
+  var flags = [gl.BLEND, gl.CULL_FACE, gl.DEPTH_TEST, gl.DITHER, gl.POLYGON_OFFSET_FILL,
+    gl.SAMPLE_ALPHA_TO_COVERAGE, gl.SAMPLE_COVERAGE, gl.SCISSOR_TEST, gl.STENCIL_TEST, gl.LIGHTING];
+  var groups = [
+    { bit: gl.COLOR_BUFFER_BIT, flags: [gl.BLEND, gl.DITHER],
+      state: ['blendFunc', 'blendEquation', 'blendColor', 'colorMask', 'clearColor'] },
+    { bit: gl.DEPTH_BUFFER_BIT, flags: [gl.DEPTH_TEST], state: ['depthFunc', 'depthMask', 'clearDepth'] },
+    { bit: gl.POLYGON_BIT, flags: [gl.CULL_FACE, gl.POLYGON_OFFSET_FILL], state: ['cullFace', 'frontFace', 'polygonOffset'] },
+    { bit: gl.VIEWPORT_BIT, flags: [], state: ['viewport', 'depthRange'] },
+    { bit: gl.SCISSOR_BIT, flags: [gl.SCISSOR_TEST], state: ['scissor'] },
+    { bit: gl.ENABLE_BIT, flags: flags, state: [] }
+  ];
+
+  // The functions used to restore each piece of state.
+  var setters = {};
+  function cache(name, key, normalize) {
+    var original = gl[name];
+    setters[key] = setters[key] || original;
+    gl[name] = function() {
+      state[key] = normalize ? normalize.apply(null, arguments) : Array.prototype.slice.call(arguments);
+      return original.apply(context, arguments);
+    };
+  }
+  cache('blendFuncSeparate', 'blendFunc');
+  cache('blendFunc', 'blendFunc', function(s, d) { return [s, d, s, d]; });
+  cache('blendEquationSeparate', 'blendEquation');
+  cache('blendEquation', 'blendEquation', function(m) { return [m, m]; });
+  cache('blendColor', 'blendColor');
+  cache('colorMask', 'colorMask');
+  cache('clearColor', 'clearColor');
+  cache('depthFunc', 'depthFunc');
+  cache('depthMask', 'depthMask');
+  cache('clearDepth', 'clearDepth');
+  cache('cullFace', 'cullFace');
+  cache('frontFace', 'frontFace');
+  cache('polygonOffset', 'polygonOffset');
+  cache('viewport', 'viewport');
+  cache('depthRange', 'depthRange');
+  cache('scissor', 'scissor');
+
+  // Read the current state from WebGL, which is only needed when the context
+  // is created or restored.
+  function read() {
+    function get(name) { return Array.prototype.slice.call(gl.getParameter(name)); }
+    state.blendFunc = [gl.getParameter(gl.BLEND_SRC_RGB), gl.getParameter(gl.BLEND_DST_RGB),
+      gl.getParameter(gl.BLEND_SRC_ALPHA), gl.getParameter(gl.BLEND_DST_ALPHA)];
+    state.blendEquation = [gl.getParameter(gl.BLEND_EQUATION_RGB), gl.getParameter(gl.BLEND_EQUATION_ALPHA)];
+    state.blendColor = get(gl.BLEND_COLOR);
+    state.colorMask = get(gl.COLOR_WRITEMASK);
+    state.clearColor = get(gl.COLOR_CLEAR_VALUE);
+    state.depthFunc = [gl.getParameter(gl.DEPTH_FUNC)];
+    state.depthMask = [gl.getParameter(gl.DEPTH_WRITEMASK)];
+    state.clearDepth = [gl.getParameter(gl.DEPTH_CLEAR_VALUE)];
+    state.cullFace = [gl.getParameter(gl.CULL_FACE_MODE)];
+    state.frontFace = [gl.getParameter(gl.FRONT_FACE)];
+    state.polygonOffset = [gl.getParameter(gl.POLYGON_OFFSET_FACTOR), gl.getParameter(gl.POLYGON_OFFSET_UNITS)];
+    state.viewport = get(gl.VIEWPORT);
+    state.depthRange = get(gl.DEPTH_RANGE);
+    state.scissor = get(gl.SCISSOR_BOX);
+    for (var i = 0; i < flags.length; i++) {
+      enabled[flags[i]] = !!isEnabled.call(context, flags[i]);
+    }
+  }
+  read();
+  trackResource({ restore: read });
+
+  gl.enable = function(cap) {
+    enabled[cap] = true;
+    enable.call(context, cap);
+  };
+  gl.disable = function(cap) {
+    enabled[cap] = false;
+    disable.call(context, cap);
+  };
+  gl.isEnabled = function(cap) {
+    return cap in enabled ? enabled[cap] : isEnabled.call(context, cap);
+  };
+  gl.pushAttrib = function(mask) {
+    var saved = { state: {}, enabled: {} };
+    for (var i = 0; i < groups.length; i++) {
+      var group = groups[i];
+      if (!(mask & group.bit)) continue;
+      for (var j = 0; j < group.state.length; j++) saved.state[group.state[j]] = state[group.state[j]];
+      for (var j = 0; j < group.flags.length; j++) saved.enabled[group.flags[j]] = enabled[group.flags[j]];
+    }
+    stack.push(saved);
+  };
+  gl.popAttrib = function() {
+    var saved = stack.pop();
+    if (!saved) throw new Error('gl.popAttrib() called without a matching gl.pushAttrib()');
+
+    // Only call into WebGL for the state that actually changed.
+    for (var key in saved.state) {
+      var from = saved.state[key], to = state[key], changed = false;
+      for (var i = 0; i < from.length; i++) {
+        if (from[i] !== to[i]) changed = true;
+      }
+      if (changed) {
+        setters[key].apply(context, from);
+        state[key] = from;
+      }
+    }
+    for (var cap in saved.enabled) {
+      if (saved.enabled[cap] != enabled[cap]) (saved.enabled[cap] ? gl.enable : gl.disable)(+cap);
+    }
+  };
+}
+
+// ### Frame statistics
+//
+// `gl.counters` counts the work done so far in the current frame: `draws`
+// (calls to `drawArrays()` and `drawElements()`), `primitives` (points, lines,
+// or triangles drawn), `bufferBytes` (bytes uploaded by `Buffer.compile()`),
+// and `targetSwitches` (times `Texture.drawTo()` redirected rendering). Frames
+// are delimited by `gl.beginFrame()` and `gl.endFrame()`, which `gl.animate()`
+// calls automatically. `gl.endFrame()` copies the counters into `gl.stats`
+// along with `cpuTime`, the milliseconds between the two calls.
+//
+// When the `EXT_disjoint_timer_query` extension is available, `gl.stats.gpuTime`
+// is the number of milliseconds the GPU spent on a recent frame. Results
+// arrive a few frames late and are `null` until then (and always `null` when
+// the extension isn't available).
+//
+//     gl.ondraw = function() {
+//       ...
+//     };
+//     gl.animate();
+//     gl.showStats();
+//
+// `gl.showStats()` overlays the statistics on top of the canvas, which must be
+// part of a document, and `gl.hideStats()` removes the overlay again.
+
+function addStats() {
+  var context = gl, timer = null, query = null, queries = [], start = 0, overlay = null, shown = 0;
+  var clock = typeof performance != 'undefined' && performance.now ?
+    function() { return performance.now(); } :
+    function() { return new Date().getTime(); };
+  function reset() {
+    gl.counters = { draws: 0, primitives: 0, bufferBytes: 0, targetSwitches: 0 };
+  }
+  reset();
+  gl.stats = { frames: 0, draws: 0, primitives: 0, bufferBytes: 0, targetSwitches: 0, cpuTime: 0, gpuTime: null };
+
+  // WebGL 2 has its own version of the extension that uses the query objects
+  // built into the context instead of methods on the extension.
+  function createTimer() {
+    var ext = gl.getExtension('EXT_disjoint_timer_query_webgl2');
+    if (ext) {
+      timer = {
+        ext: ext,
+        create: function() { return context.createQuery(); },
+        begin: function(query) { context.beginQuery(ext.TIME_ELAPSED_EXT, query); },
+        end: function() { context.endQuery(ext.TIME_ELAPSED_EXT); },
+        available: function(query) { return context.getQueryParameter(query, context.QUERY_RESULT_AVAILABLE); },
+        result: function(query) { return context.getQueryParameter(query, context.QUERY_RESULT); },
+        remove: function(query) { context.deleteQuery(query); }
+      };
+      return;
+    }
+    ext = gl.getExtension('EXT_disjoint_timer_query');
+    timer = ext && {
+      ext: ext,
+      create: function() { return ext.createQueryEXT(); },
+      begin: function(query) { ext.beginQueryEXT(ext.TIME_ELAPSED_EXT, query); },
+      end: function() { ext.endQueryEXT(ext.TIME_ELAPSED_EXT); },
+      available: function(query) { return ext.getQueryObjectEXT(query, ext.QUERY_RESULT_AVAILABLE_EXT); },
+      result: function(query) { return ext.getQueryObjectEXT(query, ext.QUERY_RESULT_EXT); },
+      remove: function(query) { ext.deleteQueryEXT(query); }
+    };
+  }
+  createTimer();
+
+  // Queries from before a context loss are gone, so start over.
+  trackResource({ restore: function() {
+    query = null;
+    queries = [];
+    createTimer();
+  }});
+
+  // Collect the results of finished queries in the order they were issued.
+  // Results are discarded when the GPU reports a disjoint event, such as a
+  // change in clock frequency, since the timings can't be trusted then.
+  function poll() {
+    var disjoint = context.getParameter(timer.ext.GPU_DISJOINT_EXT);
+    while (queries.length && timer.available(queries[0])) {
+      var finished = queries.shift();
+      if (!disjoint) gl.stats.gpuTime = timer.result(finished) / 1e6;
+      timer.remove(finished);
+    }
+  }
+
+  gl.beginFrame = function() {
+    reset();
+    start = clock();
+    if (timer && !query) {
+      query = timer.create();
+      timer.begin(query);
+    }
+  };
+
+  gl.endFrame = function() {
+    var stats = gl.stats, counters = gl.counters;
+    if (timer && query) {
+      timer.end();
+      queries.push(query);
+      query = null;
+    }
+    if (timer) poll();
+    stats.frames++;
+    stats.draws = counters.draws;
+    stats.primitives = counters.primitives;
+    stats.bufferBytes = counters.bufferBytes;
+    stats.targetSwitches = counters.targetSwitches;
+    stats.cpuTime = clock() - start;
+
+    // Updating the overlay every frame would make it unreadable.
+    var now = clock();
+    if (overlay && now - shown > 250) {
+      shown = now;
+      overlay.textContent =
+        'draws: ' + stats.draws + '\n' +
+        'primitives: ' + stats.primitives + '\n' +
+        'buffer bytes: ' + stats.bufferBytes + '\n' +
+        'target switches: ' + stats.targetSwitches + '\n' +
+        'cpu: ' + stats.cpuTime.toFixed(2) + ' ms\n' +
+        'gpu: ' + (stats.gpuTime === null ? 'n/a' : stats.gpuTime.toFixed(2) + ' ms');
+    }
+  };
+
+  gl.showStats = function() {
+    if (!hasDocumentCanvas(gl.canvas) || !gl.canvas.parentNode) {
+      throw new Error('gl.showStats() requires a canvas that is part of a document');
+    }
+    if (overlay) return overlay;
+    overlay = gl.canvas.ownerDocument.createElement('pre');
+    var style = overlay.style;
+    style.position = 'absolute';
+    style.left = gl.canvas.offsetLeft + 'px';
+    style.top = gl.canvas.offsetTop + 'px';
+    style.margin = '0';
+    style.padding = '4px 6px';
+    style.font = '11px monospace';
+    style.color = 'white';
+    style.background = 'rgba(0, 0, 0, 0.6)';
+    style.pointerEvents = 'none';
+    gl.canvas.parentNode.insertBefore(overlay, gl.canvas.nextSibling);
+    shown = 0;
+    return overlay;
+  };
+
+  gl.hideStats = function() {
+    if (overlay && overlay.parentNode) overlay.parentNode.removeChild(overlay);
+    overlay = null;
+  };
 }
 
 // ### Improved mouse events
@@ -209,9 +1000,43 @@ function addImmediateMode() {
 // This adds event listeners on the `gl.canvas` element that call
 // `gl.onmousedown()`, `gl.onmousemove()`, and `gl.onmouseup()` with an
 // augmented event object. The event object also has the properties `x`, `y`,
-// `deltaX`, `deltaY`, and `dragging`.
+// `deltaX`, `deltaY`, and `dragging`. Positions are measured in CSS pixels
+// from the top left corner of the canvas. On high-DPI displays the canvas can
+// have more pixels than that, so `canvasX` and `canvasY` give the position in
+// canvas pixels instead, which is what functions that take a position in the
+// viewport (like `gl.pick()`) expect.
+//
+// Scrolling over the canvas calls `gl.onmousewheel()` with the same augmented
+// event object. Its `wheelDeltaX` and `wheelDeltaY` properties hold the scroll
+// amount in pixels regardless of whether the browser scrolled by pixels, lines,
+// or pages, and `wheelDelta` is a shortcut for `wheelDeltaY`. Positive values
+// scroll down, like the standard `deltaY`. The page only stops scrolling over
+// the canvas when `gl.onmousewheel()` is set.
+//
+// ### Touch events
+//
+// Touch and pen input is reported through `gl.ontouchstart()`,
+// `gl.ontouchmove()`, and `gl.ontouchend()`. Pointer Events are used when the
+// browser supports them, otherwise the older touch events are used instead.
+// The event object has a `touches` list with one entry per active pointer
+// (each with `identifier`, `x`, `y`, `canvasX`, `canvasY`, `deltaX`, and
+// `deltaY`, measured like mouse events) and a `changedTouches` list with the
+// pointers that caused this event. The `x`, `y`, `canvasX`, `canvasY`,
+// `deltaX`, and `deltaY` properties of the event itself describe the center
+// of all active pointers. While two or more pointers are down, `scale`
+// and `rotation` (in degrees) give the pinch and twist of the first two
+// pointers since the gesture began, and `deltaScale` and `deltaRotation` give
+// the change since the previous event.
+//
+// Touches are only handled while at least one of these callbacks is set, so
+// by default touching the canvas scrolls and zooms the page and produces the
+// usual emulated mouse events. Once a callback is set, the canvas gets
+// `touch-action: none` the next time it's touched and the browser stops
+// scrolling for touches that start on it. Set `gl.canvas.style.touchAction`
+// to `'none'` yourself to also prevent scrolling for the very first touch.
 function addEventListeners() {
   var context = gl, oldX = 0, oldY = 0, buttons = {}, hasOld = false;
+  var pointers = {}, gesture = null;
   var has = Object.prototype.hasOwnProperty;
   function isDragging() {
     for (var b in buttons) {
@@ -219,7 +1044,25 @@ function addEventListeners() {
     }
     return false;
   }
-  function augment(original) {
+  function locate(source, target) {
+    target.x = source.pageX;
+    target.y = source.pageY;
+    for (var obj = gl.canvas; obj; obj = obj.offsetParent) {
+      target.x -= obj.offsetLeft;
+      target.y -= obj.offsetTop;
+    }
+    // Also convert from CSS pixels to canvas pixels, which differ on high-DPI
+    // displays, so positions can be matched with the viewport.
+    var scaleX = 1, scaleY = 1;
+    if (gl.canvas.clientWidth && gl.canvas.clientHeight) {
+      scaleX = gl.canvas.width / gl.canvas.clientWidth;
+      scaleY = gl.canvas.height / gl.canvas.clientHeight;
+    }
+    target.canvasX = target.x * scaleX;
+    target.canvasY = target.y * scaleY;
+    return target;
+  }
+  function copy(original) {
     // Make a copy of original, a native `MouseEvent`, so we can overwrite
     // WebKit's non-standard read-only `x` and `y` properties (which are just
     // duplicates of `pageX` and `pageY`). We can't just use
@@ -238,12 +1081,16 @@ function addEventListeners() {
       }
     }
     e.original = original;
-    e.x = e.pageX;
-    e.y = e.pageY;
-    for (var obj = gl.canvas; obj; obj = obj.offsetParent) {
-      e.x -= obj.offsetLeft;
-      e.y -= obj.offsetTop;
-    }
+    e.preventDefault = function() {
+      e.original.preventDefault();
+    };
+    e.stopPropagation = function() {
+      e.original.stopPropagation();
+    };
+    return e;
+  }
+  function augment(original) {
+    var e = locate(original, copy(original));
     if (hasOld) {
       e.deltaX = e.x - oldX;
       e.deltaY = e.y - oldY;
@@ -255,12 +1102,67 @@ function addEventListeners() {
     oldX = e.x;
     oldY = e.y;
     e.dragging = isDragging();
-    e.preventDefault = function() {
-      e.original.preventDefault();
-    };
-    e.stopPropagation = function() {
-      e.original.stopPropagation();
-    };
+    return e;
+  }
+  function augmentTouch(original, changed, ended) {
+    // Positions are only stored for the pointers in `changed`, so all other
+    // active pointers have not moved since the previous event.
+    var e = copy(original);
+    var moved = {};
+    e.changedTouches = [];
+    for (var i = 0; i < changed.length; i++) {
+      var id = 'pointerId' in changed[i] ? changed[i].pointerId : changed[i].identifier;
+      var touch = locate(changed[i], { identifier: id });
+      var old = pointers[id];
+      touch.deltaX = old ? touch.x - old.x : 0;
+      touch.deltaY = old ? touch.y - old.y : 0;
+      if (ended) delete pointers[id];
+      else pointers[id] = { x: touch.x, y: touch.y, canvasX: touch.canvasX, canvasY: touch.canvasY };
+      moved[id] = touch;
+      e.changedTouches.push(touch);
+    }
+    e.touches = [];
+    for (var id in pointers) {
+      if (has.call(pointers, id)) {
+        var p = pointers[id];
+        e.touches.push(moved[id] || { identifier: +id, x: p.x, y: p.y, canvasX: p.canvasX, canvasY: p.canvasY, deltaX: 0, deltaY: 0 });
+      }
+    }
+
+    // The center only moves smoothly while the set of pointers stays the same.
+    var center = e.touches.length ? e.touches : e.changedTouches;
+    e.x = e.y = e.canvasX = e.canvasY = e.deltaX = e.deltaY = 0;
+    for (var i = 0; i < center.length; i++) {
+      e.x += center[i].x / center.length;
+      e.y += center[i].y / center.length;
+      e.canvasX += center[i].canvasX / center.length;
+      e.canvasY += center[i].canvasY / center.length;
+      if (original.type == 'touchmove' || original.type == 'pointermove') {
+        e.deltaX += center[i].deltaX / center.length;
+        e.deltaY += center[i].deltaY / center.length;
+      }
+    }
+
+    // Derive pinch and twist gestures from the first two pointers.
+    e.scale = 1;
+    e.rotation = e.deltaScale = e.deltaRotation = 0;
+    if (e.touches.length >= 2) {
+      var a = e.touches[0], b = e.touches[1];
+      var distance = Math.sqrt((b.x - a.x) * (b.x - a.x) + (b.y - a.y) * (b.y - a.y));
+      var angle = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+      if (!gesture || gesture.a != a.identifier || gesture.b != b.identifier) {
+        gesture = { a: a.identifier, b: b.identifier, distance: distance, angle: angle, scale: 1, rotation: 0 };
+      }
+      e.scale = gesture.distance ? distance / gesture.distance : 1;
+      e.rotation = ((angle - gesture.angle) % 360 + 540) % 360 - 180;
+      e.deltaScale = e.scale / gesture.scale;
+      e.deltaRotation = ((e.rotation - gesture.rotation) % 360 + 540) % 360 - 180;
+      gesture.scale = e.scale;
+      gesture.rotation = e.rotation;
+    } else {
+      gesture = null;
+      e.deltaScale = 1;
+    }
     return e;
   }
   function mousedown(e) {
@@ -297,6 +1199,63 @@ function addEventListeners() {
     if (gl.onmouseup) gl.onmouseup(e);
     e.preventDefault();
   }
+  function wheel(e) {
+    gl = context;
+    if (!gl.onmousewheel) return;
+    // Convert line and page scrolling into pixels. The legacy `mousewheel`
+    // event reports 120 units per notch in the opposite direction.
+    var x, y;
+    if ('deltaMode' in e) {
+      var scale = e.deltaMode == 1 ? LINE_HEIGHT : e.deltaMode == 2 ? gl.canvas.height : 1;
+      x = e.deltaX * scale;
+      y = e.deltaY * scale;
+    } else {
+      x = -(e.wheelDeltaX || 0) / 120 * 3 * LINE_HEIGHT;
+      y = -(e.wheelDeltaY || e.wheelDelta || 0) / 120 * 3 * LINE_HEIGHT;
+    }
+    e = augment(e);
+    e.wheelDeltaX = x;
+    e.wheelDeltaY = e.wheelDelta = y;
+    gl.onmousewheel(e);
+    e.preventDefault();
+  }
+  function hasTouchCallbacks() {
+    return !!(gl.ontouchstart || gl.ontouchmove || gl.ontouchend);
+  }
+  function touch(callback, changed, ended) {
+    return function(e) {
+      gl = context;
+      if (!hasTouchCallbacks()) return;
+      var list = changed(e);
+      if (!list) return;
+      e = augmentTouch(e, list, ended);
+      if (gl[callback]) gl[callback](e);
+      e.preventDefault();
+    };
+  }
+  function touchList(e) {
+    return e.changedTouches;
+  }
+  function pointerList(e) {
+    // Mouse input is still handled by the mouse events above, and pens that
+    // are hovering above the screen aren't touching it.
+    if (e.pointerType == 'mouse') return null;
+    if (e.type != 'pointerdown' && !has.call(pointers, e.pointerId)) return null;
+    return [e];
+  }
+  function pointerover(e) {
+    // Stop the browser from scrolling and zooming the page instead, which has
+    // to happen before the touch starts to have an effect.
+    gl = context;
+    if (e.pointerType != 'mouse' && hasTouchCallbacks()) gl.canvas.style.touchAction = 'none';
+  }
+  function pointerdown(e) {
+    // Capture the pointer to keep receiving events after it leaves the canvas.
+    gl = context;
+    if (e.pointerType == 'mouse' || !hasTouchCallbacks()) return;
+    gl.canvas.style.touchAction = 'none';
+    if (gl.canvas.setPointerCapture) gl.canvas.setPointerCapture(e.pointerId);
+  }
   function reset() {
     hasOld = false;
   }
@@ -309,7 +1268,21 @@ function addEventListeners() {
   on(gl.canvas, 'mouseup', mouseup);
   on(gl.canvas, 'mouseover', reset);
   on(gl.canvas, 'mouseout', reset);
+  on(gl.canvas, 'onwheel' in gl.canvas ? 'wheel' : 'mousewheel', wheel);
   on(document, 'contextmenu', resetAll);
+  if (window.PointerEvent) {
+    on(gl.canvas, 'pointerover', pointerover);
+    on(gl.canvas, 'pointerdown', pointerdown);
+    on(gl.canvas, 'pointerdown', touch('ontouchstart', pointerList, false));
+    on(gl.canvas, 'pointermove', touch('ontouchmove', pointerList, false));
+    on(gl.canvas, 'pointerup', touch('ontouchend', pointerList, true));
+    on(gl.canvas, 'pointercancel', touch('ontouchend', pointerList, true));
+  } else {
+    on(gl.canvas, 'touchstart', touch('ontouchstart', touchList, false));
+    on(gl.canvas, 'touchmove', touch('ontouchmove', touchList, false));
+    on(gl.canvas, 'touchend', touch('ontouchend', touchList, true));
+    on(gl.canvas, 'touchcancel', touch('ontouchend', touchList, true));
+  }
 }
 
 // ### Automatic keyboard state
@@ -322,6 +1295,9 @@ function addEventListeners() {
 // cast the value to boolean by applying the not operator twice (as in
 // `!!GL.keys.SPACE`).
 
+// The number of pixels that one line of scrolling is converted into.
+var LINE_HEIGHT = 16;
+
 function mapKeyCode(code) {
   var named = {
     8: 'BACKSPACE',
@@ -346,7 +1322,12 @@ function off(element, name, callback) {
   element.removeEventListener(name, callback);
 }
 
-on(document, 'keydown', function(e) {
+// Workers and Node have no document to listen to.
+function hasDocumentCanvas(canvas) {
+  return typeof document != 'undefined' && !!canvas && canvas.ownerDocument == document;
+}
+
+if (typeof document != 'undefined') on(document, 'keydown', function(e) {
   if (!e.altKey && !e.ctrlKey && !e.metaKey) {
     var key = mapKeyCode(e.keyCode);
     if (key) GL.keys[key] = true;
@@ -354,7 +1335,7 @@ on(document, 'keydown', function(e) {
   }
 });
 
-on(document, 'keyup', function(e) {
+if (typeof document != 'undefined') on(document, 'keyup', function(e) {
   if (!e.altKey && !e.ctrlKey && !e.metaKey) {
     var key = mapKeyCode(e.keyCode);
     if (key) GL.keys[key] = false;
@@ -376,31 +1357,480 @@ function addOtherMethods() {
   // ### Animation
   //
   // Call `gl.animate()` to provide an animation loop that repeatedly calls
-  // `gl.onupdate()` and `gl.ondraw()`.
-  gl.animate = function() {
+  // `gl.onupdate(seconds)` and `gl.ondraw()`. Long pauses, such as when the
+  // tab was in the background, are clamped to `maxDelta` seconds (a quarter of
+  // a second by default) so the simulation doesn't jump ahead.
+  //
+  // Setting `step` runs `gl.onupdate()` at that fixed number of seconds per
+  // update instead of once per frame, which keeps simulations deterministic.
+  // Zero or more updates happen per frame, and `gl.ondraw(alpha)` is passed
+  // how far the current time is between the last update and the next one as a
+  // fraction from 0 to 1, which can be used to interpolate between states.
+  //
+  //     var loop = gl.animate({ step: 1 / 120, maxDelta: 0.1 });
+  //
+  // Each frame is wrapped in `gl.beginFrame()` and `gl.endFrame()` so
+  // `gl.stats` is kept up to date.
+  //
+  // The `capture` option records an image sequence, such as for a video. Each
+  // frame advances time by exactly `1 / fps` seconds no matter how long it
+  // took, and is captured using `gl.capture()` with the `width`, `height`, and
+  // `format` options. Every image is passed to `oncapture` along with the
+  // frame number, and the loop stops after `frames` frames (if set).
+  //
+  //     gl.animate({
+  //       capture: {
+  //         fps: 30,
+  //         frames: 300,
+  //         format: 'blob',
+  //         oncapture: function(image, index) {
+  //           upload(image, 'frame-' + ('000' + index).slice(-4) + '.png');
+  //         }
+  //       }
+  //     });
+  //
+  // The returned loop object has `stop()`, `pause()`, and `resume()` methods
+  // along with the counters `frames` (calls to `gl.ondraw()`), `updates`
+  // (calls to `gl.onupdate()`), `elapsed` (total seconds passed to
+  // `gl.onupdate()`), and `fps` (a smoothed frame rate). Pausing stops
+  // requesting frames until `resume()` is called, while a stopped loop can't
+  // be resumed.
+  gl.animate = function(options) {
+    options = options || {};
+    var root = typeof window != 'undefined' ? window : typeof self != 'undefined' ? self : {};
     var post =
-      window.requestAnimationFrame ||
-      window.mozRequestAnimationFrame ||
-      window.webkitRequestAnimationFrame ||
-      function(callback) { setTimeout(callback, 1000 / 60); };
-    var time = new Date().getTime();
-    var context = gl;
-    function update() {
+      root.requestAnimationFrame ||
+      root.mozRequestAnimationFrame ||
+      root.webkitRequestAnimationFrame;
+    var cancel =
+      root.cancelAnimationFrame ||
+      root.mozCancelAnimationFrame ||
+      root.webkitCancelAnimationFrame;
+    if (!post || !cancel) {
+      post = function(callback) { return setTimeout(callback, 1000 / 60); };
+      cancel = clearTimeout;
+    }
+    var clock = typeof performance != 'undefined' && performance.now ?
+      function() { return performance.now(); } :
+      function() { return new Date().getTime(); };
+    var step = options.step || 0;
+    var maxDelta = options.maxDelta || 0.25;
+    var capture = options.capture;
+    var context = gl, time, accumulator = 0, pending = null;
+    var loop = {
+      frames: 0,
+      updates: 0,
+      elapsed: 0,
+      fps: 0,
+      running: false,
+      stopped: false,
+      stop: function() {
+        loop.pause();
+        loop.stopped = true;
+      },
+      pause: function() {
+        if (pending !== null) cancel.call(root, pending);
+        pending = null;
+        loop.running = false;
+      },
+      resume: function() {
+        if (loop.running || loop.stopped) return;
+        loop.running = true;
+        time = null;
+        frame();
+      }
+    };
+    function frame() {
       gl = context;
-      var now = new Date().getTime();
-      if (gl.onupdate) gl.onupdate((now - time) / 1000);
-      if (gl.ondraw) gl.ondraw();
-      post(update);
+      gl.beginFrame();
+      // The first frame after starting or resuming is drawn right away, so no
+      // time has passed yet. It doesn't update the simulation or the frame
+      // rate, which starts from the first real frame interval instead.
+      var now = clock();
+      var seconds = capture ? 1 / (capture.fps || 60) : time === null ? 0 : Math.min(Math.max(now - time, 0) / 1000, maxDelta);
       time = now;
+      if (seconds > 0) loop.fps = loop.fps ? loop.fps * 0.9 + 0.1 / seconds : 1 / seconds;
+      if (step) {
+        accumulator += seconds;
+        while (accumulator >= step) {
+          if (gl.onupdate) gl.onupdate(step);
+          accumulator -= step;
+          loop.updates++;
+          loop.elapsed += step;
+        }
+        if (gl.ondraw) gl.ondraw(accumulator / step);
+      } else {
+        if (seconds > 0) {
+          if (gl.onupdate) gl.onupdate(seconds);
+          loop.updates++;
+          loop.elapsed += seconds;
+        }
+        if (gl.ondraw) gl.ondraw();
+      }
+      if (capture) captureFrame(loop.frames, step ? accumulator / step : undefined);
+      gl.endFrame();
+      loop.frames++;
+      if (capture && capture.frames && loop.frames >= capture.frames) loop.stop();
+      if (loop.running) pending = post.call(root, frame);
+    }
+    function captureFrame(index, alpha) {
+      gl.capture({
+        width: capture.width,
+        height: capture.height,
+        format: capture.format,
+        draw: function() { if (gl.ondraw) gl.ondraw(alpha); }
+      }, function(image) {
+        if (capture.oncapture) capture.oncapture(image, index);
+      });
+    }
+    loop.resume();
+    return loop;
+  };
+
+  // ### Picking
+  //
+  // `gl.pick(x, y, drawCallback)` finds the object under the pixel `x, y`
+  // (measured in canvas pixels from the top left of the viewport, like the
+  // `canvasX` and `canvasY` of mouse events) by drawing the scene on the GPU.
+  // `drawCallback` is called with a `draw(id, mesh, mode)` function and should
+  // use it to draw each pickable object with a positive integer ID below
+  // 16777216, using the current modelview matrix like normal. It's called twice, once to draw object IDs as colors and once
+  // to draw depth. Only the pixel under the cursor is rendered, using a pick
+  // matrix like `gluPickMatrix()` on top of the current projection.
+  //
+  // The result is `null` if nothing was hit. Otherwise it has the `id` of the
+  // object, the window-space `depth` from 0 to 1, and the world-space `point`
+  // that was hit, found using `gl.unProject()` with the matrices that were
+  // current when `gl.pick()` was called.
+  //
+  //     gl.onmousedown = function(e) {
+  //       var result = gl.pick(e.canvasX, e.canvasY, function(draw) {
+  //         for (var i = 0; i < objects.length; i++) {
+  //           gl.pushMatrix();
+  //           gl.translate(objects[i].x, objects[i].y, objects[i].z);
+  //           draw(i + 1, objects[i].mesh);
+  //           gl.popMatrix();
+  //         }
+  //       });
+  //       if (result) selected = objects[result.id - 1];
+  //     };
+  var pickTexture, pickShader;
+  gl.pick = function(x, y, drawCallback) {
+    pickTexture = pickTexture || new Texture(1, 1, { filter: gl.NEAREST });
+    pickShader = pickShader || new Shader('\
+      void main() {\
+        gl_Position = gl_ModelViewProjectionMatrix * gl_Vertex;\
+      }\
+    ', '\
+      uniform vec4 id;\
+      uniform bool depth;\
+      void main() {\
+        if (depth) {\
+          vec4 pack = fract(vec4(1.0, 255.0, 65025.0, 16581375.0) * gl_FragCoord.z);\
+          gl_FragColor = pack - pack.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);\
+        } else {\
+          gl_FragColor = id;\
+        }\
+      }\
+    ');
+    var viewport = gl.getParameter(gl.VIEWPORT);
+    var modelview = new Matrix(Array.prototype.slice.call(gl.modelviewMatrix.m));
+    var projection = gl.projectionMatrix;
+    // Pick at the center of the pixel so objects whose edges touch the pixel
+    // corner aren't picked by mistake.
+    var winX = viewport[0] + x + 0.5, winY = viewport[1] + viewport[3] - y - 0.5;
+    var pickMatrix = Matrix.multiply(
+      Matrix.translate(viewport[2] - 2 * (winX - viewport[0]), viewport[3] - 2 * (winY - viewport[1]), 0),
+      Matrix.scale(viewport[2], viewport[3], 1));
+    var pixel = new Uint8Array(4);
+    function draw(id, mesh, mode) {
+      pickShader.uniforms({ id: [(id & 255) / 255, (id >> 8 & 255) / 255, (id >> 16 & 255) / 255, 1] });
+      pickShader.draw(mesh, mode);
+    }
+    function render(depth) {
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+      pickShader.uniforms({ depth: depth });
+      drawCallback(draw);
+      gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+    }
+
+    gl.projectionMatrix = Matrix.multiply(pickMatrix, projection);
+    gl.pushAttrib(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.DITHER);
+    gl.enable(gl.DEPTH_TEST);
+    gl.depthFunc(gl.LESS);
+    gl.depthMask(true);
+    gl.colorMask(true, true, true, true);
+    gl.clearColor(0, 0, 0, 0);
+    var id = 0, depth = 0;
+    pickTexture.drawTo(function() {
+      render(false);
+      id = pixel[0] | pixel[1] << 8 | pixel[2] << 16;
+      if (!id) return;
+      render(true);
+      depth = pixel[0] / 255 + pixel[1] / 65025 + pixel[2] / 16581375 + pixel[3] / 4228250625;
+    });
+    gl.popAttrib();
+    gl.projectionMatrix = projection;
+
+    if (!id) return null;
+    return {
+      id: id,
+      depth: depth,
+      point: gl.unProject(winX, winY, depth, modelview, projection, viewport)
+    };
+  };
+
+  // ### Capturing
+  //
+  // `gl.capture([options][, callback])` renders a frame into an offscreen
+  // texture and reads it back as an image. The `draw` option is the function
+  // that draws the frame and defaults to `gl.ondraw`. Options:
+  //
+  //     gl.capture({
+  //       width: 4096,     // Defaults to the drawing buffer width
+  //       height: 4096,    // Defaults to the drawing buffer height
+  //       format: 'blob',  // 'dataURL' (the default), 'blob', or 'rgba'
+  //       alpha: false,    // Defaults to the context's alpha attribute
+  //       draw: function() { ... } // Defaults to gl.ondraw
+  //     }, function(image) {
+  //       saveAs(image, 'render.png');
+  //     });
+  //
+  // The `'dataURL'` format is a PNG data URL, `'blob'` is a PNG `Blob`, and
+  // `'rgba'` is a `Uint8Array` of RGBA bytes with the top row first. Blobs are
+  // created asynchronously so they are only passed to `callback`, which is
+  // required for them, while the other formats are also returned.
+  //
+  // The offscreen texture always has an alpha channel, so the alpha of the
+  // captured pixels is set to 255 when `alpha` is false. That keeps captures
+  // of a context created with `alpha: false` opaque like the canvas itself.
+  //
+  // Captures larger than the drawing buffer are rendered in tiles of that
+  // size by multiplying a tile matrix onto the projection matrix, so `draw`
+  // must leave the projection matrix alone and use the viewport it's given.
+  // The image keeps the projection's aspect ratio, so capture at the same
+  // aspect ratio (or update the projection first) to avoid stretching. Only
+  // the PNG formats need a canvas, so `'rgba'` also works without one.
+  var captureTexture;
+  gl.capture = function(options, callback) {
+    if (typeof options == 'function') {
+      callback = options;
+      options = null;
+    }
+    options = options || {};
+    var format = options.format || 'dataURL';
+    if (format != 'dataURL' && format != 'blob' && format != 'rgba') throw new Error('invalid capture format "' + format + '"');
+    if (format == 'blob' && !callback) throw new Error('the "blob" capture format requires a callback');
+    var attributes = gl.getContextAttributes && gl.getContextAttributes();
+    var alpha = 'alpha' in options ? options.alpha : !attributes || attributes.alpha;
+    var draw = options.draw || gl.ondraw;
+    var viewport = gl.getParameter(gl.VIEWPORT);
+    var bufferWidth = gl.drawingBufferWidth || viewport[2];
+    var bufferHeight = gl.drawingBufferHeight || viewport[3];
+    var width = options.width || bufferWidth;
+    var height = options.height || bufferHeight;
+    var tileWidth = Math.min(width, bufferWidth);
+    var tileHeight = Math.min(height, bufferHeight);
+    if (!captureTexture || captureTexture.width != tileWidth || captureTexture.height != tileHeight) {
+      if (captureTexture) captureTexture.destroy();
+      captureTexture = new Texture(tileWidth, tileHeight, { filter: gl.NEAREST });
+    }
+    var pixels = new Uint8Array(width * height * 4);
+    var tile = new Uint8Array(tileWidth * tileHeight * 4);
+    var projection = gl.projectionMatrix;
+
+    // Tiles are laid out from the top left. The tile matrix maps the part of
+    // the full image covered by each tile to the whole viewport, and the WebGL
+    // rows, which start at the bottom, are flipped on the way out.
+    for (var top = 0; top < height; top += tileHeight) {
+      for (var left = 0; left < width; left += tileWidth) {
+        var bottom = height - top - tileHeight;
+        var scaleX = width / tileWidth, scaleY = height / tileHeight;
+        var centerX = (2 * left + tileWidth) / width - 1, centerY = (2 * bottom + tileHeight) / height - 1;
+        gl.projectionMatrix = Matrix.multiply(
+          Matrix.translate(-scaleX * centerX, -scaleY * centerY, 0),
+          Matrix.multiply(Matrix.scale(scaleX, scaleY, 1), projection));
+        captureTexture.drawTo(function() {
+          if (draw) draw();
+          gl.readPixels(0, 0, tileWidth, tileHeight, gl.RGBA, gl.UNSIGNED_BYTE, tile);
+        });
+        for (var row = 0; row < tileHeight; row++) {
+          var y = height - 1 - (bottom + row);
+          if (y < 0 || y >= height) continue;
+          var columns = Math.min(tileWidth, width - left);
+          pixels.set(tile.subarray(row * tileWidth * 4, (row * tileWidth + columns) * 4), (y * width + left) * 4);
+        }
+      }
+    }
+    gl.projectionMatrix = projection;
+    if (!alpha) {
+      for (var i = 3; i < pixels.length; i += 4) pixels[i] = 255;
+    }
+
+    if (format == 'rgba') {
+      if (callback) callback(pixels);
+      return pixels;
+    }
+
+    // Encoding as a PNG goes through a 2D canvas.
+    var canvas = typeof document != 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(width, height);
+    canvas.width = width;
+    canvas.height = height;
+    var c = canvas.getContext('2d');
+    var imageData = c.createImageData(width, height);
+    imageData.data.set(pixels);
+    c.putImageData(imageData, 0, 0);
+    if (format == 'blob') {
+      if (canvas.toBlob) canvas.toBlob(callback, 'image/png');
+      else canvas.convertToBlob({ type: 'image/png' }).then(callback);
+      return null;
+    }
+    if (!canvas.toDataURL) throw new Error('the "dataURL" capture format requires a document (use "blob" instead)');
+    var url = canvas.toDataURL('image/png');
+    if (callback) callback(url);
+    return url;
+  };
+
+  // ### Text
+  //
+  // `gl.drawText(font, string, x, y[, options])` draws `string` using a
+  // `GL.Font`. By default `x` and `y` are in pixels from the top left of the
+  // viewport, so this works the same when drawing to a texture. With the
+  // `world` option, the text is drawn in the XY plane of the current
+  // modelview matrix instead, with `x` and `y` as the position in that plane
+  // and the Y axis pointing up. Options:
+  //
+  //     gl.drawText(font, 'Hello\nworld', 10, 10, {
+  //       align: 'center',      // 'left' (the default), 'center', or 'right'
+  //       baseline: 'middle',   // 'top' (the default), 'middle', 'alphabetic', or 'bottom'
+  //       width: 200,           // Wrap lines at spaces to fit in this width
+  //       color: [1, 0, 0, 1],  // Defaults to white
+  //       scale: 0.01,          // Drawn units per atlas pixel, defaults to 1
+  //       world: true           // Draw in the modelview space instead of the screen
+  //     });
+  //
+  // Returns the drawn `width` and `height`. Text is alpha-blended and isn't
+  // depth-tested when drawn on the screen. The render state is restored
+  // afterward.
+  var textMesh, textShader;
+  gl.drawText = function(font, string, x, y, options) {
+    options = options || {};
+    textMesh = textMesh || new Mesh({ coords: true });
+    textShader = textShader || new Shader('\
+      varying vec2 coord;\
+      void main() {\
+        coord = gl_TexCoord.xy;\
+        gl_Position = gl_ModelViewProjectionMatrix * gl_Vertex;\
+      }\
+    ', '\
+      uniform sampler2D texture;\
+      uniform vec4 color;\
+      varying vec2 coord;\
+      void main() {\
+        gl_FragColor = color * texture2D(texture, coord);\
+      }\
+    ');
+    var scale = options.scale || 1;
+    var world = !!options.world;
+    var measured = font.measure(string, { width: options.width && options.width / scale });
+    var baselines = { top: 0, middle: -measured.height / 2, alphabetic: -font.base, bottom: -measured.height };
+    var top = baselines[options.baseline || 'top'];
+    if (top === undefined) throw new Error('invalid baseline "' + options.baseline + '"');
+
+    // Generate a textured quad for each visible glyph.
+    var width = font.texture.width, height = font.texture.height;
+    var vertices = textMesh.vertices = [];
+    var coords = textMesh.coords = [];
+    var triangles = textMesh.triangles = [];
+    function vertex(px, py) {
+      vertices.push([x + px * scale, world ? y - py * scale : y + py * scale, 0]);
+    }
+    for (var i = 0; i < measured.lines.length; i++) {
+      var line = measured.lines[i];
+      var penX = options.align == 'center' ? -line.width / 2 : options.align == 'right' ? -line.width : 0;
+      var penY = top + i * font.lineHeight;
+      for (var j = 0, previous = null; j < line.text.length; j++) {
+        var code = line.text.charCodeAt(j);
+        var glyph = font.glyph(code);
+        if (!glyph) continue;
+        if (previous !== null) penX += font.kernings[previous + ',' + code] || 0;
+        previous = code;
+        if (glyph.width && glyph.height) {
+          var left = penX + glyph.xoffset, right = left + glyph.width;
+          var upper = penY + glyph.yoffset, lower = upper + glyph.height;
+          var u0 = glyph.x / width, u1 = (glyph.x + glyph.width) / width;
+          var v0 = 1 - glyph.y / height, v1 = 1 - (glyph.y + glyph.height) / height;
+          var n = vertices.length;
+          vertex(left, upper);
+          vertex(right, upper);
+          vertex(left, lower);
+          vertex(right, lower);
+          coords.push([u0, v0], [u1, v0], [u0, v1], [u1, v1]);
+          triangles.push([n, n + 2, n + 1], [n + 1, n + 2, n + 3]);
+        }
+        penX += glyph.xadvance;
+      }
+    }
+    textMesh.compile();
+
+    // Screen-space text uses a temporary projection with the origin in the top
+    // left corner and one unit per pixel.
+    var modelview = gl.modelviewMatrix, projection = gl.projectionMatrix;
+    gl.pushAttrib(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT | gl.POLYGON_BIT);
+    if (!world) {
+      var viewport = gl.getParameter(gl.VIEWPORT);
+      gl.modelviewMatrix = new Matrix();
+      gl.projectionMatrix = Matrix.ortho(0, viewport[2], viewport[3], 0, -1, 1);
+      gl.disable(gl.DEPTH_TEST);
     }
-    update();
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    gl.disable(gl.CULL_FACE);
+    font.texture.bind(0);
+    textShader.uniforms({ texture: 0, color: options.color || [1, 1, 1, 1] }).draw(textMesh);
+    font.texture.unbind(0);
+    gl.popAttrib();
+    gl.modelviewMatrix = modelview;
+    gl.projectionMatrix = projection;
+
+    return { width: measured.width * scale, height: measured.height * scale };
   };
 
+  // ### Resizing
+  //
+  // Resizes the canvas to `width` by `height` CSS pixels, using as many canvas
+  // pixels as the display has so rendering stays sharp on high-DPI displays.
+  // The ratio can be overridden with `pixelRatio` and capped with
+  // `maxPixelRatio`, and the ratio that was used is stored in `gl.pixelRatio`.
+  // This also updates the viewport and (unless `camera` is false) sets up a
+  // perspective projection using `fov`, `near`, and `far`, then calls
+  // `gl.onresize()` and `gl.ondraw()`.
+  function resizeCanvas(width, height, options) {
+    var ratio = options.pixelRatio || (typeof devicePixelRatio != 'undefined' && devicePixelRatio) || 1;
+    if (options.maxPixelRatio) ratio = Math.min(ratio, options.maxPixelRatio);
+    gl.pixelRatio = ratio;
+    gl.canvas.width = Math.max(1, Math.round(width * ratio));
+    gl.canvas.height = Math.max(1, Math.round(height * ratio));
+    gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+    if (options.camera || !('camera' in options)) {
+      gl.matrixMode(gl.PROJECTION);
+      gl.loadIdentity();
+      gl.perspective(options.fov || 45, gl.canvas.width / gl.canvas.height,
+        options.near || 0.1, options.far || 1000);
+      gl.matrixMode(gl.MODELVIEW);
+    }
+    if (gl.onresize) gl.onresize();
+    if (gl.ondraw) gl.ondraw();
+  }
+
   // ### Fullscreen
   //
   // Provide an easy way to get a fullscreen app running, including an
   // automatic 3D perspective projection matrix by default. This should be
-  // called once.
+  // called once. The canvas resolution follows the device pixel ratio, which
+  // can be limited using the `maxPixelRatio` option.
   //
   // Just fullscreen, no automatic camera:
   //
@@ -414,6 +1844,10 @@ function addOtherMethods() {
   //
   //     gl.fullscreen({ paddingLeft: 250, paddingBottom: 60 });
   //
+  // Rendering at most two canvas pixels per CSS pixel:
+  //
+  //     gl.fullscreen({ maxPixelRatio: 2 });
+  //
   gl.fullscreen = function(options) {
     options = options || {};
     var top = options.paddingTop || 0;
@@ -430,21 +1864,52 @@ function addOtherMethods() {
     gl.canvas.style.left = left + 'px';
     gl.canvas.style.top = top + 'px';
     function resize() {
-      gl.canvas.width = window.innerWidth - left - right;
-      gl.canvas.height = window.innerHeight - top - bottom;
-      gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
-      if (options.camera || !('camera' in options)) {
-        gl.matrixMode(gl.PROJECTION);
-        gl.loadIdentity();
-        gl.perspective(options.fov || 45, gl.canvas.width / gl.canvas.height,
-          options.near || 0.1, options.far || 1000);
-        gl.matrixMode(gl.MODELVIEW);
-      }
-      if (gl.ondraw) gl.ondraw();
+      var width = window.innerWidth - left - right;
+      var height = window.innerHeight - top - bottom;
+      gl.canvas.style.width = width + 'px';
+      gl.canvas.style.height = height + 'px';
+      resizeCanvas(width, height, options);
     }
     on(window, 'resize', resize);
     resize();
   };
+
+  // ### Automatic resizing
+  //
+  // Keeps the canvas resolution matched to its size on the page, for canvases
+  // that are sized by CSS as part of a layout (with `width: 100%`, for
+  // example). A `ResizeObserver` is used when available, and window resizes
+  // otherwise. This takes the same `camera`, `fov`, `near`, `far`,
+  // `pixelRatio`, and `maxPixelRatio` options as `gl.fullscreen()` and returns
+  // an object with a `stop()` method.
+  //
+  //     gl.onresize = function() {
+  //       console.log(gl.canvas.width, gl.canvas.height, gl.pixelRatio);
+  //     };
+  //     gl.autoResize({ maxPixelRatio: 2 });
+  //
+  gl.autoResize = function(options) {
+    options = options || {};
+    var context = gl, canvas = gl.canvas;
+    function resize(width, height) {
+      gl = context;
+      if (width > 0 && height > 0) resizeCanvas(width, height, options);
+    }
+    if (typeof ResizeObserver != 'undefined') {
+      var observer = new ResizeObserver(function(entries) {
+        var rect = entries[entries.length - 1].contentRect;
+        resize(rect.width, rect.height);
+      });
+      observer.observe(canvas);
+      return { stop: function() { observer.disconnect(); } };
+    }
+    function windowResize() {
+      resize(canvas.clientWidth, canvas.clientHeight);
+    }
+    on(window, 'resize', windowResize);
+    windowResize();
+    return { stop: function() { off(window, 'resize', windowResize); } };
+  };
 }
 
 // A value to bitwise-or with new enums to make them distinguishable from the
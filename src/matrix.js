@@ -52,12 +52,7 @@ Matrix.prototype = {
   // Transforms the vector as a point with a w coordinate of 1. This
   // means translations will have an effect, for example.
   transformPoint: function(v) {
-    var m = this.m;
-    return new Vector(
-      m[0] * v.x + m[1] * v.y + m[2] * v.z + m[3],
-      m[4] * v.x + m[5] * v.y + m[6] * v.z + m[7],
-      m[8] * v.x + m[9] * v.y + m[10] * v.z + m[11]
-    ).divide(m[12] * v.x + m[13] * v.y + m[14] * v.z + m[15]);
+    return Matrix.transformPoint(this, v, new Vector());
   },
 
   // ### .transformPoint(vector)
@@ -65,12 +60,117 @@ Matrix.prototype = {
   // Transforms the vector as a vector with a w coordinate of 0. This
   // means translations will have no effect, for example.
   transformVector: function(v) {
+    return Matrix.transformVector(this, v, new Vector());
+  },
+
+  // ### .transformVector4(vector)
+  //
+  // Transforms the `GL.Vector4` including its w coordinate, without dividing
+  // by the resulting w.
+  transformVector4: function(v) {
+    return Matrix.transformVector4(this, v, new Vector4());
+  },
+
+  // ### .determinant()
+  //
+  // Returns the determinant, which is zero when the matrix has no inverse and
+  // negative when it mirrors geometry.
+  determinant: function() {
     var m = this.m;
-    return new Vector(
-      m[0] * v.x + m[1] * v.y + m[2] * v.z,
-      m[4] * v.x + m[5] * v.y + m[6] * v.z,
-      m[8] * v.x + m[9] * v.y + m[10] * v.z
+    return (
+      m[0] * (m[5]*m[10]*m[15] - m[5]*m[14]*m[11] - m[6]*m[9]*m[15] + m[6]*m[13]*m[11] + m[7]*m[9]*m[14] - m[7]*m[13]*m[10]) +
+      m[1] * (-m[4]*m[10]*m[15] + m[4]*m[14]*m[11] + m[6]*m[8]*m[15] - m[6]*m[12]*m[11] - m[7]*m[8]*m[14] + m[7]*m[12]*m[10]) +
+      m[2] * (m[4]*m[9]*m[15] - m[4]*m[13]*m[11] - m[5]*m[8]*m[15] + m[5]*m[12]*m[11] + m[7]*m[8]*m[13] - m[7]*m[12]*m[9]) +
+      m[3] * (-m[4]*m[9]*m[14] + m[4]*m[13]*m[10] + m[5]*m[8]*m[14] - m[5]*m[12]*m[10] - m[6]*m[8]*m[13] + m[6]*m[12]*m[9])
     );
+  },
+
+  // ### .equals(matrix[, epsilon])
+  //
+  // Returns true if every element differs from the one in `matrix` by at most
+  // `epsilon`, which defaults to 0.
+  equals: function(matrix, epsilon) {
+    epsilon = epsilon || 0;
+    for (var i = 0; i < 16; i++) {
+      if (!(Math.abs(this.m[i] - matrix.m[i]) <= epsilon)) return false;
+    }
+    return true;
+  },
+
+  // ### .isAffine()
+  //
+  // Returns true if the bottom row is `0, 0, 0, 1`, which means the matrix
+  // has no perspective and is made up of only linear transforms and a
+  // translation.
+  isAffine: function() {
+    var m = this.m;
+    return m[12] === 0 && m[13] === 0 && m[14] === 0 && m[15] === 1;
+  },
+
+  // ### .decompose([epsilon])
+  //
+  // Splits an affine matrix into the parts that `GL.Matrix.compose()` puts
+  // together. Returns an object with a `translation` vector, a `rotation`
+  // quaternion, the same rotation as `euler` angles in degrees, a `scale`
+  // vector, and the `shear` factors `xy`, `xz`, and `yz`. A matrix that
+  // mirrors geometry gets a negative x scale. Shearing can't be represented by
+  // translation, rotation, and scale alone, so `hasShear` is set when any of
+  // the shear factors is above `epsilon` (which defaults to 1e-6). Pass
+  // `shear` to `GL.Matrix.compose()` to get back the original matrix.
+  //
+  // This is the decomposition from "Decomposing a matrix into simple
+  // transformations" in Graphics Gems II, which orthogonalizes the columns
+  // using the Gram-Schmidt process.
+  decompose: function(epsilon) {
+    var m = this.m;
+    if (!this.isAffine()) throw new Error('cannot decompose a matrix with a perspective transform');
+    var x = new Vector(m[0], m[4], m[8]);
+    var y = new Vector(m[1], m[5], m[9]);
+    var z = new Vector(m[2], m[6], m[10]);
+
+    var scaleX = x.length();
+    if (!scaleX) throw new Error('cannot decompose a matrix with a zero scale');
+    x = x.divide(scaleX);
+    var xy = x.dot(y);
+    y = y.subtract(x.multiply(xy));
+    var scaleY = y.length();
+    if (!scaleY) throw new Error('cannot decompose a matrix with a zero scale');
+    y = y.divide(scaleY);
+    xy /= scaleY;
+    var xz = x.dot(z);
+    z = z.subtract(x.multiply(xz));
+    var yz = y.dot(z);
+    z = z.subtract(y.multiply(yz));
+    var scaleZ = z.length();
+    if (!scaleZ) throw new Error('cannot decompose a matrix with a zero scale');
+    z = z.divide(scaleZ);
+    xz /= scaleZ;
+    yz /= scaleZ;
+
+    // Mirroring flips the handedness of the axes, which a rotation can't do.
+    // The shear factors along the flipped x axis change sign with it.
+    if (x.dot(y.cross(z)) < 0) {
+      scaleX = -scaleX;
+      x = x.negative();
+      xy = -xy;
+      xz = -xz;
+    }
+
+    var rotation = Quaternion.fromMatrix(new Matrix(
+      x.x, y.x, z.x, 0,
+      x.y, y.y, z.y, 0,
+      x.z, y.z, z.z, 0,
+      0, 0, 0, 1
+    ));
+    epsilon = epsilon || 1e-6;
+    return {
+      translation: new Vector(m[3], m[7], m[11]),
+      rotation: rotation,
+      euler: rotation.toEuler(),
+      scale: new Vector(scaleX, scaleY, scaleZ),
+      shear: { xy: xy, xz: xz, yz: yz },
+      hasShear: Math.abs(xy) > epsilon || Math.abs(xz) > epsilon || Math.abs(yz) > epsilon
+    };
   }
 };
 
@@ -109,6 +209,71 @@ Matrix.inverse = function(matrix, result) {
   return result;
 };
 
+// ### GL.Matrix.inverseAffine(matrix[, result])
+//
+// Returns the inverse of an affine `matrix` (see `isAffine()`), which is
+// much cheaper than `GL.Matrix.inverse()` because only the upper left 3x3
+// part needs to be inverted. You can optionally pass an existing matrix in
+// `result` to avoid allocating a new matrix.
+Matrix.inverseAffine = function(matrix, result) {
+  result = result || new Matrix();
+  var m = matrix.m, r = result.m;
+  var a = m[0], b = m[1], c = m[2], tx = m[3];
+  var d = m[4], e = m[5], f = m[6], ty = m[7];
+  var g = m[8], h = m[9], i = m[10], tz = m[11];
+
+  var A = e * i - f * h, B = f * g - d * i, C = d * h - e * g;
+  var det = a * A + b * B + c * C;
+  r[0] = A / det;
+  r[1] = (c * h - b * i) / det;
+  r[2] = (b * f - c * e) / det;
+  r[4] = B / det;
+  r[5] = (a * i - c * g) / det;
+  r[6] = (c * d - a * f) / det;
+  r[8] = C / det;
+  r[9] = (b * g - a * h) / det;
+  r[10] = (a * e - b * d) / det;
+
+  // The inverse translation is the original translation run backward through
+  // the inverted 3x3 part.
+  r[3] = -(r[0] * tx + r[1] * ty + r[2] * tz);
+  r[7] = -(r[4] * tx + r[5] * ty + r[6] * tz);
+  r[11] = -(r[8] * tx + r[9] * ty + r[10] * tz);
+  r[12] = 0; r[13] = 0; r[14] = 0; r[15] = 1;
+  return result;
+};
+
+// ### GL.Matrix.compose(translation, rotation, scale[, shear][, result])
+//
+// Returns the matrix that scales by `scale` (a vector or a number), then
+// shears by the optional `shear` factors `xy`, `xz`, and `yz`, then rotates
+// by `rotation` (a `GL.Quaternion` or an object with the Euler angles `x`,
+// `y`, and `z` in degrees as used by `GL.Quaternion.fromEuler()`), then
+// translates by the vector `translation`. This is the opposite of
+// `decompose()`. You can optionally pass an existing matrix in `result` to
+// avoid allocating a new matrix.
+Matrix.compose = function(translation, rotation, scale, shear, result) {
+  if (shear instanceof Matrix) {
+    result = shear;
+    shear = null;
+  }
+  if (!(rotation instanceof Quaternion)) rotation = Quaternion.fromEuler(rotation.x, rotation.y, rotation.z);
+  if (!(scale instanceof Vector)) scale = new Vector(scale, scale, scale);
+  var xy = shear ? shear.xy : 0, xz = shear ? shear.xz : 0, yz = shear ? shear.yz : 0;
+  result = Quaternion.toMatrix(rotation, result);
+  var m = result.m;
+  for (var i = 0; i < 12; i += 4) {
+    var a = m[i], b = m[i + 1], c = m[i + 2];
+    m[i] = a * scale.x;
+    m[i + 1] = (a * xy + b) * scale.y;
+    m[i + 2] = (a * xz + b * yz + c) * scale.z;
+  }
+  m[3] = translation.x;
+  m[7] = translation.y;
+  m[11] = translation.z;
+  return result;
+};
+
 // ### GL.Matrix.transpose(matrix[, result])
 //
 // Returns `matrix`, exchanging columns for rows. You can optionally pass an
@@ -155,6 +320,51 @@ Matrix.multiply = function(left, right, result) {
   return result;
 };
 
+// ### GL.Matrix.transformPoint(matrix, point[, result])
+//
+// Transforms `point` by `matrix` with a w coordinate of 1. You can optionally
+// pass an existing vector in `result`, which may also be `point`, to avoid
+// allocating a new vector.
+Matrix.transformPoint = function(matrix, v, result) {
+  result = result || new Vector();
+  var m = matrix.m, x = v.x, y = v.y, z = v.z;
+  var w = m[12] * x + m[13] * y + m[14] * z + m[15];
+  return result.init(
+    (m[0] * x + m[1] * y + m[2] * z + m[3]) / w,
+    (m[4] * x + m[5] * y + m[6] * z + m[7]) / w,
+    (m[8] * x + m[9] * y + m[10] * z + m[11]) / w
+  );
+};
+
+// ### GL.Matrix.transformVector(matrix, vector[, result])
+//
+// Transforms `vector` by `matrix` with a w coordinate of 0. You can optionally
+// pass an existing vector in `result`, which may also be `vector`.
+Matrix.transformVector = function(matrix, v, result) {
+  result = result || new Vector();
+  var m = matrix.m, x = v.x, y = v.y, z = v.z;
+  return result.init(
+    m[0] * x + m[1] * y + m[2] * z,
+    m[4] * x + m[5] * y + m[6] * z,
+    m[8] * x + m[9] * y + m[10] * z
+  );
+};
+
+// ### GL.Matrix.transformVector4(matrix, vector[, result])
+//
+// Transforms the `GL.Vector4` `vector` by `matrix`. You can optionally pass an
+// existing vector in `result`, which may also be `vector`.
+Matrix.transformVector4 = function(matrix, v, result) {
+  result = result || new Vector4();
+  var m = matrix.m, x = v.x, y = v.y, z = v.z, w = v.w;
+  return result.init(
+    m[0] * x + m[1] * y + m[2] * z + m[3] * w,
+    m[4] * x + m[5] * y + m[6] * z + m[7] * w,
+    m[8] * x + m[9] * y + m[10] * z + m[11] * w,
+    m[12] * x + m[13] * y + m[14] * z + m[15] * w
+  );
+};
+
 // ### GL.Matrix.identity([result])
 //
 // Returns an identity matrix. You can optionally pass an existing matrix in
@@ -89,21 +89,54 @@ Buffer.prototype = {
   // The type can be either `gl.STATIC_DRAW` or `gl.DYNAMIC_DRAW`, and defaults to
   // `gl.STATIC_DRAW`.
   //
+  // The data can also be a typed array of the buffer's type that holds the
+  // elements back to back, which is uploaded without being copied. Set
+  // `spacing` to the element length in that case.
+  //
   // This could have used `[].concat.apply([], this.data)` to flatten
   // the array but Google Chrome has a maximum number of arguments so the
   // concatenations are chunked to avoid that limit.
   compile: function(type) {
-    var data = [];
-    for (var i = 0, chunk = 10000; i < this.data.length; i += chunk) {
-      data = Array.prototype.concat.apply(data, this.data.slice(i, i + chunk));
+    var data = this.data, spacing = this.spacing;
+    if (!(data instanceof this.type)) {
+      data = [];
+      for (var i = 0, chunk = 10000; i < this.data.length; i += chunk) {
+        data = Array.prototype.concat.apply(data, this.data.slice(i, i + chunk));
+      }
+      spacing = this.data.length ? data.length / this.data.length : 0;
     }
-    var spacing = this.data.length ? data.length / this.data.length : 0;
     if (spacing != Math.round(spacing)) throw new Error('buffer elements not of consistent size, average size is ' + spacing);
-    this.buffer = this.buffer || gl.createBuffer();
+    if (!this.buffer) {
+      this.buffer = gl.createBuffer();
+      trackResource(this);
+    }
     this.buffer.length = data.length;
     this.buffer.spacing = spacing;
+    this.usage = type || gl.STATIC_DRAW;
     gl.bindBuffer(this.target, this.buffer);
-    gl.bufferData(this.target, new this.type(data), type || gl.STATIC_DRAW);
+    var array = data instanceof this.type ? data : new this.type(data);
+    gl.bufferData(this.target, array, this.usage);
+    gl.counters.bufferBytes += array.byteLength;
+  },
+
+  // ### .restore()
+  //
+  // Uploads `data` again into a new GPU buffer. This is called automatically
+  // when a lost context is restored.
+  restore: function() {
+    this.buffer = gl.createBuffer();
+    this.compile(this.usage);
+  },
+
+  // ### .destroy()
+  //
+  // Deletes the GPU buffer. The buffer can be used again by calling
+  // `compile()`, which creates a new one.
+  destroy: function() {
+    if (!this.buffer) return;
+    gl.deleteBuffer(this.buffer);
+    this.buffer = null;
+    untrackResource(this);
   }
 };
 
@@ -156,19 +189,38 @@ Mesh.prototype = {
   // doesn't need to be called every frame, only needs to be done when the data
   // changes.
   compile: function() {
+    // The bounding box used for culling is computed again when needed.
+    this.aabb = null;
     for (var attribute in this.vertexBuffers) {
       var buffer = this.vertexBuffers[attribute];
       buffer.data = this[buffer.name];
       buffer.compile();
     }
 
+    // Switch to 32-bit indices when there are too many vertices for 16-bit
+    // indices and the context supports it.
+    var indexType = this.vertices.length > 65536 && gl.capabilities.uintIndices ? Uint32Array : Uint16Array;
     for (var name in this.indexBuffers) {
       var buffer = this.indexBuffers[name];
       buffer.data = this[name];
+      buffer.type = indexType;
       buffer.compile();
     }
   },
 
+  // ### .destroy()
+  //
+  // Deletes all vertex and index buffers from the GPU. Calling `compile()`
+  // uploads them again.
+  destroy: function() {
+    for (var attribute in this.vertexBuffers) {
+      this.vertexBuffers[attribute].destroy();
+    }
+    for (var name in this.indexBuffers) {
+      this.indexBuffers[name].destroy();
+    }
+  },
+
   // ### .transform(matrix)
   //
   // Transform all vertices by `matrix` and all normals by the inverse transpose
@@ -234,11 +286,10 @@ Mesh.prototype = {
 
   // ### .getAABB()
   //
-  // Computes the axis-aligned bounding box, which is an object whose `min` and
+  // Computes the axis-aligned bounding box as a `GL.AABB`, whose `min` and
   // `max` properties contain the minimum and maximum coordinates of all vertices.
   getAABB: function() {
-    var aabb = { min: new Vector(Number.MAX_VALUE, Number.MAX_VALUE, Number.MAX_VALUE) };
-    aabb.max = aabb.min.negative();
+    var aabb = new AABB();
     for (var i = 0; i < this.vertices.length; i++) {
       var v = Vector.fromArray(this.vertices[i]);
       aabb.min = Vector.min(aabb.min, v);
@@ -249,11 +300,10 @@ Mesh.prototype = {
 
   // ### .getBoundingSphere()
   //
-  // Computes a sphere that contains all vertices (not necessarily the smallest
-  // sphere). The returned object has two properties, `center` and `radius`.
+  // Computes a `GL.Sphere` that contains all vertices (not necessarily the
+  // smallest sphere), which has the two properties `center` and `radius`.
   getBoundingSphere: function() {
-    var aabb = this.getAABB();
-    var sphere = { center: aabb.min.add(aabb.max).divide(2), radius: 0 };
+    var sphere = new Sphere(this.getAABB().getCenter(), 0);
     for (var i = 0; i < this.vertices.length; i++) {
       sphere.radius = Math.max(sphere.radius,
         Vector.fromArray(this.vertices[i]).subtract(sphere.center).length());
@@ -0,0 +1,290 @@
+// Represents a rotation as a unit quaternion, which unlike angles can be
+// smoothly interpolated and combined without gimbal lock. Like `GL.Matrix`,
+// operations can be done using methods that return a new quaternion or static
+// functions that store the result in an existing quaternion to avoid
+// generating garbage. Angles are in degrees, like `GL.Matrix.rotate()`.
+
+// ### new GL.Quaternion([x, y, z, w])
+//
+// Creates the quaternion `w + xi + yj + zk`. The arguments default to the
+// identity rotation `(0, 0, 0, 1)`.
+function Quaternion(x, y, z, w) {
+  this.x = x || 0;
+  this.y = y || 0;
+  this.z = z || 0;
+  this.w = arguments.length < 4 ? 1 : w;
+}
+
+Quaternion.prototype = {
+  // ### .multiply(quaternion)
+  //
+  // Returns the rotation that first rotates by `quaternion` and then by this
+  // quaternion, matching the order of `GL.Matrix.multiply()`.
+  multiply: function(q) {
+    return Quaternion.multiply(this, q, new Quaternion());
+  },
+
+  // ### .conjugate()
+  //
+  // Returns the opposite rotation, which is also the inverse for unit
+  // quaternions.
+  conjugate: function() {
+    return Quaternion.conjugate(this, new Quaternion());
+  },
+
+  // ### .unit()
+  //
+  // Returns this quaternion scaled to a length of 1.
+  unit: function() {
+    return Quaternion.unit(this, new Quaternion());
+  },
+
+  // ### .dot(quaternion)
+  dot: function(q) {
+    return this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w;
+  },
+
+  // ### .length()
+  length: function() {
+    return Math.sqrt(this.dot(this));
+  },
+
+  // ### .rotateVector(vector)
+  //
+  // Returns `vector` rotated by this quaternion.
+  rotateVector: function(v) {
+    return Quaternion.rotateVector(this, v, new Vector());
+  },
+
+  // ### .toMatrix()
+  //
+  // Returns the rotation matrix for this quaternion.
+  toMatrix: function() {
+    return Quaternion.toMatrix(this, new Matrix());
+  },
+
+  // ### .toAxisAngle()
+  //
+  // Returns the rotation as an object with an `angle` in degrees and a unit
+  // `axis` vector, which are the arguments to `GL.Matrix.rotate()`.
+  toAxisAngle: function() {
+    var q = this.w < 0 ? new Quaternion(-this.x, -this.y, -this.z, -this.w) : this;
+    var s = Math.sqrt(Math.max(0, 1 - q.w * q.w));
+    return {
+      angle: 2 * Math.acos(Math.min(1, q.w)) * 180 / Math.PI,
+      axis: s < 1e-6 ? new Vector(1, 0, 0) : new Vector(q.x / s, q.y / s, q.z / s)
+    };
+  },
+
+  // ### .toEuler()
+  //
+  // Returns the rotation as an object with the angles `x`, `y`, and `z` in
+  // degrees, using the same order as `GL.Quaternion.fromEuler()`. When `y` is
+  // 90 or -90 degrees, `x` and `z` rotate around the same axis and `z` is
+  // returned as 0.
+  toEuler: function() {
+    var m = this.toMatrix().m, toDegrees = 180 / Math.PI;
+    var y = Math.asin(Math.max(-1, Math.min(1, m[2])));
+    if (Math.abs(m[2]) > 0.999999) {
+      return { x: Math.atan2(m[9], m[5]) * toDegrees, y: y * toDegrees, z: 0 };
+    }
+    return {
+      x: Math.atan2(-m[6], m[10]) * toDegrees,
+      y: y * toDegrees,
+      z: Math.atan2(-m[1], m[0]) * toDegrees
+    };
+  },
+
+  equals: function(q) {
+    return this.x == q.x && this.y == q.y && this.z == q.z && this.w == q.w;
+  },
+  toArray: function() {
+    return [this.x, this.y, this.z, this.w];
+  },
+  clone: function() {
+    return new Quaternion(this.x, this.y, this.z, this.w);
+  },
+  init: function(x, y, z, w) {
+    this.x = x; this.y = y; this.z = z; this.w = w;
+    return this;
+  }
+};
+
+// ### GL.Quaternion.fromAxisAngle(a, x, y, z[, result])
+//
+// Returns a quaternion that rotates by `a` degrees around the axis `x, y, z`,
+// the same rotation as `GL.Matrix.rotate(a, x, y, z)`. You can optionally
+// pass an existing quaternion in `result` to avoid allocating a new one.
+Quaternion.fromAxisAngle = function(a, x, y, z, result) {
+  result = result || new Quaternion();
+  var d = Math.sqrt(x*x + y*y + z*z);
+  if (!a || !d) return result.init(0, 0, 0, 1);
+  a *= Math.PI / 360;
+  var s = Math.sin(a) / d;
+  return result.init(x * s, y * s, z * s, Math.cos(a));
+};
+
+// ### GL.Quaternion.fromEuler(x, y, z[, result])
+//
+// Returns the rotation that `gl.rotate(x, 1, 0, 0)`, `gl.rotate(y, 0, 1, 0)`,
+// and `gl.rotate(z, 0, 0, 1)` would apply when called in that order. You can
+// optionally pass an existing quaternion in `result` to avoid allocating a new
+// one.
+Quaternion.fromEuler = function(x, y, z, result) {
+  result = result || new Quaternion();
+  x *= Math.PI / 360; y *= Math.PI / 360; z *= Math.PI / 360;
+  var cx = Math.cos(x), sx = Math.sin(x);
+  var cy = Math.cos(y), sy = Math.sin(y);
+  var cz = Math.cos(z), sz = Math.sin(z);
+  return result.init(
+    sx * cy * cz + cx * sy * sz,
+    cx * sy * cz - sx * cy * sz,
+    cx * cy * sz + sx * sy * cz,
+    cx * cy * cz - sx * sy * sz
+  );
+};
+
+// ### GL.Quaternion.fromMatrix(matrix[, result])
+//
+// Returns the rotation in the upper left 3x3 part of `matrix`, which must not
+// contain any scaling. You can optionally pass an existing quaternion in
+// `result` to avoid allocating a new one.
+//
+// This picks the largest of the four components to compute first, which
+// avoids dividing by numbers close to zero.
+Quaternion.fromMatrix = function(matrix, result) {
+  result = result || new Quaternion();
+  var m = matrix.m, trace = m[0] + m[5] + m[10], s;
+  if (trace > 0) {
+    s = 0.5 / Math.sqrt(trace + 1);
+    result.init((m[9] - m[6]) * s, (m[2] - m[8]) * s, (m[4] - m[1]) * s, 0.25 / s);
+  } else if (m[0] > m[5] && m[0] > m[10]) {
+    s = 2 * Math.sqrt(1 + m[0] - m[5] - m[10]);
+    result.init(0.25 * s, (m[1] + m[4]) / s, (m[2] + m[8]) / s, (m[9] - m[6]) / s);
+  } else if (m[5] > m[10]) {
+    s = 2 * Math.sqrt(1 + m[5] - m[0] - m[10]);
+    result.init((m[1] + m[4]) / s, 0.25 * s, (m[6] + m[9]) / s, (m[2] - m[8]) / s);
+  } else {
+    s = 2 * Math.sqrt(1 + m[10] - m[0] - m[5]);
+    result.init((m[2] + m[8]) / s, (m[6] + m[9]) / s, 0.25 * s, (m[4] - m[1]) / s);
+  }
+  return Quaternion.unit(result, result);
+};
+
+// ### GL.Quaternion.toMatrix(quaternion[, result])
+//
+// Returns the rotation matrix for `quaternion`, which should have a length of
+// 1. You can optionally pass an existing matrix in `result` to avoid
+// allocating a new matrix.
+Quaternion.toMatrix = function(q, result) {
+  result = result || new Matrix();
+  var m = result.m;
+  var x = q.x, y = q.y, z = q.z, w = q.w;
+
+  m[0] = 1 - 2 * (y * y + z * z);
+  m[1] = 2 * (x * y - z * w);
+  m[2] = 2 * (x * z + y * w);
+  m[3] = 0;
+
+  m[4] = 2 * (x * y + z * w);
+  m[5] = 1 - 2 * (x * x + z * z);
+  m[6] = 2 * (y * z - x * w);
+  m[7] = 0;
+
+  m[8] = 2 * (x * z - y * w);
+  m[9] = 2 * (y * z + x * w);
+  m[10] = 1 - 2 * (x * x + y * y);
+  m[11] = 0;
+
+  m[12] = 0;
+  m[13] = 0;
+  m[14] = 0;
+  m[15] = 1;
+
+  return result;
+};
+
+// ### GL.Quaternion.multiply(left, right[, result])
+//
+// Returns the rotation that first rotates by `right` and then by `left`. You
+// can optionally pass an existing quaternion in `result`, which may also be
+// `left` or `right`.
+Quaternion.multiply = function(a, b, result) {
+  result = result || new Quaternion();
+  return result.init(
+    a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+    a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+    a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+    a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z
+  );
+};
+
+// ### GL.Quaternion.conjugate(quaternion[, result])
+Quaternion.conjugate = function(q, result) {
+  result = result || new Quaternion();
+  return result.init(-q.x, -q.y, -q.z, q.w);
+};
+
+// ### GL.Quaternion.unit(quaternion[, result])
+Quaternion.unit = function(q, result) {
+  result = result || new Quaternion();
+  var length = q.length();
+  return length ? result.init(q.x / length, q.y / length, q.z / length, q.w / length) : result.init(0, 0, 0, 1);
+};
+
+// ### GL.Quaternion.rotateVector(quaternion, vector[, result])
+//
+// Returns `vector` rotated by `quaternion`. You can optionally pass an
+// existing vector in `result`, which may also be `vector`.
+Quaternion.rotateVector = function(q, v, result) {
+  result = result || new Vector();
+  var tx = 2 * (q.y * v.z - q.z * v.y);
+  var ty = 2 * (q.z * v.x - q.x * v.z);
+  var tz = 2 * (q.x * v.y - q.y * v.x);
+  return result.init(
+    v.x + q.w * tx + q.y * tz - q.z * ty,
+    v.y + q.w * ty + q.z * tx - q.x * tz,
+    v.z + q.w * tz + q.x * ty - q.y * tx
+  );
+};
+
+// ### GL.Quaternion.nlerp(a, b, fraction[, result])
+//
+// Interpolates linearly between `a` and `b` and normalizes the result. This
+// is cheaper than `slerp()` but doesn't rotate at a constant speed. Both
+// functions take the shortest path between the two rotations.
+Quaternion.nlerp = function(a, b, t, result) {
+  result = result || new Quaternion();
+  var sign = a.dot(b) < 0 ? -1 : 1;
+  result.init(
+    a.x + (b.x * sign - a.x) * t,
+    a.y + (b.y * sign - a.y) * t,
+    a.z + (b.z * sign - a.z) * t,
+    a.w + (b.w * sign - a.w) * t
+  );
+  return Quaternion.unit(result, result);
+};
+
+// ### GL.Quaternion.slerp(a, b, fraction[, result])
+//
+// Interpolates between `a` and `b` along the shortest arc at a constant
+// angular speed. Falls back to `nlerp()` when the rotations are nearly the
+// same, where the two are indistinguishable and slerp is numerically unstable.
+Quaternion.slerp = function(a, b, t, result) {
+  var cos = a.dot(b), sign = 1;
+  if (cos < 0) {
+    cos = -cos;
+    sign = -1;
+  }
+  if (cos > 0.9995) return Quaternion.nlerp(a, b, t, result);
+  result = result || new Quaternion();
+  var angle = Math.acos(cos), sin = Math.sin(angle);
+  var wa = Math.sin((1 - t) * angle) / sin;
+  var wb = Math.sin(t * angle) / sin * sign;
+  return result.init(
+    a.x * wa + b.x * wb,
+    a.y * wa + b.y * wb,
+    a.z * wa + b.z * wb,
+    a.w * wa + b.w * wb
+  );
+};
@@ -36,8 +36,8 @@ HitTest.prototype = {
 //     var ray = tracer.getRayForPixel(
 //       gl.canvas.width / 2,
 //       gl.canvas.height / 2);
-//     var result = GL.Raytracer.hitTestSphere(
-//       tracer.eye, ray, new GL.Vector(0, 0, 0), 1);
+//     var result = ray.intersectSphere(
+//       new GL.Sphere(new GL.Vector(0, 0, 0), 1));
 function Raytracer() {
   var v = gl.getParameter(gl.VIEWPORT);
   var m = gl.modelviewMatrix.m;
@@ -60,13 +60,14 @@ function Raytracer() {
 Raytracer.prototype = {
   // ### .getRayForPixel(x, y)
   //
-  // Returns the ray originating from the camera and traveling through the pixel `x, y`.
+  // Returns the `GL.Ray` originating from the camera and traveling through the
+  // pixel `x, y`. Its direction has a length of 1.
   getRayForPixel: function(x, y) {
     x = (x - this.viewport[0]) / this.viewport[2];
     y = 1 - (y - this.viewport[1]) / this.viewport[3];
     var ray0 = Vector.lerp(this.ray00, this.ray10, x);
     var ray1 = Vector.lerp(this.ray01, this.ray11, x);
-    return Vector.lerp(ray0, ray1, y).unit();
+    return new Ray(this.eye, Vector.lerp(ray0, ray1, y).unit());
   }
 };
 
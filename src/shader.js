@@ -35,7 +35,7 @@ var LIGHTGL_PREFIX = 'LIGHTGL';
 function Shader(vertexSource, fragmentSource) {
   // Allow passing in the id of an HTML script tag with the source
   function followScriptTagById(id) {
-    var element = document.getElementById(id);
+    var element = typeof document != 'undefined' && document.getElementById(id);
     return element ? element.text : id;
   }
   vertexSource = followScriptTagById(vertexSource);
@@ -50,6 +50,7 @@ function Shader(vertexSource, fragmentSource) {
     uniform mat4 gl_ModelViewMatrixInverse;\
     uniform mat4 gl_ProjectionMatrixInverse;\
     uniform mat4 gl_ModelViewProjectionMatrixInverse;\
+    uniform mat4 gl_TextureMatrix;\
   ';
   var vertexHeader = header + '\
     attribute vec4 gl_Vertex;\
@@ -80,11 +81,13 @@ function Shader(vertexSource, fragmentSource) {
 
   // The `gl_` prefix must be substituted for something else to avoid compile
   // errors, since it's a reserved prefix. This prefixes all reserved names with
-  // `_`. The header is inserted after any extensions, since those must come
-  // first.
+  // `_`. The header is inserted after any version directive and extensions,
+  // since those must come first. GLSL ES 3.00 shaders (which need WebGL 2)
+  // declare vertex attributes using `in` instead of `attribute`.
   function fix(header, source) {
     var replaced = {};
-    var match = /^((\s*\/\/.*\n|\s*#extension.*\n)+)[^]*$/.exec(source);
+    if (/^\s*#version\s+300\s+es/.test(source)) header = header.replace(/\battribute\b/g, 'in');
+    var match = /^((\s*\/\/.*\n|\s*#version.*\n|\s*#extension.*\n)+)[^]*$/.exec(source);
     source = match ? match[1] + header + source.substr(match[1].length) : header + source;
     regexMap(/\bgl_\w+\b/g, header, function(result) {
       if (!(result in replaced)) {
@@ -97,25 +100,13 @@ function Shader(vertexSource, fragmentSource) {
   vertexSource = fix(vertexHeader, vertexSource);
   fragmentSource = fix(fragmentHeader, fragmentSource);
 
-  // Compile and link errors are thrown as strings.
-  function compileSource(type, source) {
-    var shader = gl.createShader(type);
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-      throw new Error('compile error: ' + gl.getShaderInfoLog(shader));
-    }
-    return shader;
-  }
-  this.program = gl.createProgram();
-  gl.attachShader(this.program, compileSource(gl.VERTEX_SHADER, vertexSource));
-  gl.attachShader(this.program, compileSource(gl.FRAGMENT_SHADER, fragmentSource));
-  gl.linkProgram(this.program);
-  if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
-    throw new Error('link error: ' + gl.getProgramInfoLog(this.program));
-  }
+  this.vertexSource = vertexSource;
+  this.fragmentSource = fragmentSource;
+  this.program = createProgram(vertexSource, fragmentSource);
   this.attributes = {};
   this.uniformLocations = {};
+  this.uniformValues = {};
+  trackResource(this);
 
   // Sampler uniforms need to be uploaded using `gl.uniform1i()` instead of `gl.uniform1f()`.
   // To do this automatically, we detect and remember all uniform samplers in the source code.
@@ -126,6 +117,55 @@ function Shader(vertexSource, fragmentSource) {
   this.isSampler = isSampler;
 }
 
+// Compile and link errors are thrown as strings.
+function compileSource(type, source) {
+  var shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    throw new Error('compile error: ' + gl.getShaderInfoLog(shader));
+  }
+  return shader;
+}
+
+function createProgram(vertexSource, fragmentSource) {
+  var program = gl.createProgram();
+  gl.attachShader(program, compileSource(gl.VERTEX_SHADER, vertexSource));
+  gl.attachShader(program, compileSource(gl.FRAGMENT_SHADER, fragmentSource));
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error('link error: ' + gl.getProgramInfoLog(program));
+  }
+  return program;
+}
+
+// Returns how many points, lines, or triangles `count` vertices make up when
+// drawn using `mode`.
+function countPrimitives(mode, count) {
+  switch (mode) {
+    case gl.POINTS: return count;
+    case gl.LINES: return Math.floor(count / 2);
+    case gl.LINE_LOOP: return count > 1 ? count : 0;
+    case gl.LINE_STRIP: return Math.max(count - 1, 0);
+    case gl.TRIANGLES: return Math.floor(count / 3);
+    default: return Math.max(count - 2, 0);
+  }
+}
+
+// Debug contexts check that index buffers were compiled and only refer to
+// vertices that exist, since WebGL doesn't report either mistake clearly.
+function validateIndexBuffer(indexBuffer, length) {
+  if (!indexBuffer.buffer) throw new Error('index buffer was never compiled (call compile() first)');
+  for (var i = 0; i < indexBuffer.data.length; i++) {
+    var indices = indexBuffer.data[i];
+    for (var j = 0; j < indices.length; j++) {
+      if (indices[j] >= length) {
+        throw new Error('index ' + indices[j] + ' is out of range for ' + length + ' vertices');
+      }
+    }
+  }
+}
+
 function isArray(obj) {
   var str = Object.prototype.toString.call(obj);
   return str == '[object Array]' || str == '[object Float32Array]';
@@ -139,11 +179,77 @@ function isNumber(obj) {
 var tempMatrix = new Matrix();
 var resultMatrix = new Matrix();
 
+// Scratch arrays for uploading uniforms, indexed by length. WebGL copies the
+// data during the call so these can be reused instead of allocating new ones.
+var uniformArrays = {};
+function uniformArray(length) {
+  return uniformArrays[length] || (uniformArrays[length] = new Float32Array(length));
+}
+
+// The matrices derived from the matrix stack are cached per context and only
+// recomputed when it changes. The cache keeps a copy of the elements of the
+// modelview, projection, and texture matrices and compares them on every
+// draw, which is much cheaper than uploading them again, so any change is
+// noticed no matter how it was made. Every change gets a new `stamp`, which
+// shaders use to tell whether they already have the current matrices.
+function matrixCache() {
+  var cache = gl.matrixCache;
+  if (!cache) {
+    cache = gl.matrixCache = {
+      stamp: 0, copy: new Array(48), computed: {},
+      MVMI: new Matrix(), PMI: new Matrix(), MVPM: new Matrix(), MVPMI: new Matrix(), NM: new Array(9)
+    };
+  }
+  cache.MVM = gl.modelviewMatrix;
+  cache.PM = gl.projectionMatrix;
+  cache.TM = gl.textureMatrix;
+  var changed = updateMatrixCopy(cache.MVM.m, cache.copy, 0);
+  changed = updateMatrixCopy(cache.PM.m, cache.copy, 16) || changed;
+  changed = updateMatrixCopy(cache.TM.m, cache.copy, 32) || changed;
+  if (changed) cache.stamp++;
+  return cache;
+}
+
+// Copies the 16 elements of `m` into `copy` starting at `offset` and returns
+// whether any of them were different.
+function updateMatrixCopy(m, copy, offset) {
+  var changed = false;
+  for (var i = 0; i < 16; i++) {
+    if (copy[offset + i] !== m[i]) {
+      copy[offset + i] = m[i];
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+// Returns the derived matrix `name` from `cache`, computing it at most once
+// per stamp.
+function derivedMatrix(cache, name) {
+  if (cache.computed[name] === cache.stamp) return cache[name];
+  cache.computed[name] = cache.stamp;
+  var MVM = cache.MVM, PM = cache.PM;
+  switch (name) {
+    case 'MVMI': return MVM.isAffine() ? Matrix.inverseAffine(MVM, cache.MVMI) : Matrix.inverse(MVM, cache.MVMI);
+    case 'PMI': return Matrix.inverse(PM, cache.PMI);
+    case 'MVPM': return Matrix.multiply(PM, MVM, cache.MVPM);
+    case 'MVPMI': return Matrix.inverse(derivedMatrix(cache, 'MVPM'), cache.MVPMI);
+    case 'NM':
+      var m = derivedMatrix(cache, 'MVMI').m, n = cache.NM;
+      n[0] = m[0]; n[1] = m[4]; n[2] = m[8];
+      n[3] = m[1]; n[4] = m[5]; n[5] = m[9];
+      n[6] = m[2]; n[7] = m[6]; n[8] = m[10];
+      return n;
+  }
+}
+
 Shader.prototype = {
   // ### .uniforms(uniforms)
   //
   // Set a uniform for each property of `uniforms`. The correct `gl.uniform*()` method is
   // inferred from the value types and from the stored uniform sampler flags.
+  // `GL.Vector2`, `GL.Vector`, and `GL.Vector4` values are loaded as `vec2`,
+  // `vec3`, and `vec4` and `GL.Matrix` values as `mat4`.
   uniforms: function(uniforms) {
     gl.useProgram(this.program);
 
@@ -151,31 +257,38 @@ Shader.prototype = {
       var location = this.uniformLocations[name] || gl.getUniformLocation(this.program, name);
       if (!location) continue;
       this.uniformLocations[name] = location;
-      var value = uniforms[name];
+      var value = this.uniformValues[name] = uniforms[name];
       if (value instanceof Vector) {
         value = [value.x, value.y, value.z];
+      } else if (value instanceof Vector2) {
+        value = [value.x, value.y];
+      } else if (value instanceof Vector4) {
+        value = [value.x, value.y, value.z, value.w];
       } else if (value instanceof Matrix) {
         value = value.m;
       }
       if (isArray(value)) {
+        var array = uniformArray(value.length);
         switch (value.length) {
-          case 1: gl.uniform1fv(location, new Float32Array(value)); break;
-          case 2: gl.uniform2fv(location, new Float32Array(value)); break;
-          case 3: gl.uniform3fv(location, new Float32Array(value)); break;
-          case 4: gl.uniform4fv(location, new Float32Array(value)); break;
+          case 1: array[0] = value[0]; gl.uniform1fv(location, array); break;
+          case 2: array[0] = value[0]; array[1] = value[1]; gl.uniform2fv(location, array); break;
+          case 3: array[0] = value[0]; array[1] = value[1]; array[2] = value[2]; gl.uniform3fv(location, array); break;
+          case 4: array.set(value); gl.uniform4fv(location, array); break;
           // Matrices are automatically transposed, since WebGL uses column-major
           // indices instead of row-major indices.
-          case 9: gl.uniformMatrix3fv(location, false, new Float32Array([
-            value[0], value[3], value[6],
-            value[1], value[4], value[7],
-            value[2], value[5], value[8]
-          ])); break;
-          case 16: gl.uniformMatrix4fv(location, false, new Float32Array([
-            value[0], value[4], value[8], value[12],
-            value[1], value[5], value[9], value[13],
-            value[2], value[6], value[10], value[14],
-            value[3], value[7], value[11], value[15]
-          ])); break;
+          case 9:
+            for (var i = 0; i < 3; i++) {
+              array[i * 3] = value[i]; array[i * 3 + 1] = value[i + 3]; array[i * 3 + 2] = value[i + 6];
+            }
+            gl.uniformMatrix3fv(location, false, array);
+            break;
+          case 16:
+            for (var i = 0; i < 4; i++) {
+              array[i * 4] = value[i]; array[i * 4 + 1] = value[i + 4];
+              array[i * 4 + 2] = value[i + 8]; array[i * 4 + 3] = value[i + 12];
+            }
+            gl.uniformMatrix4fv(location, false, array);
+            break;
           default: throw new Error('don\'t know how to load uniform "' + name + '" of length ' + value.length);
         }
       } else if (isNumber(value)) {
@@ -188,16 +301,28 @@ Shader.prototype = {
     return this;
   },
 
-  // ### .draw(mesh[, mode])
+  // ### .draw(mesh[, mode[, options]])
   //
   // Sets all uniform matrix attributes, binds all relevant buffers, and draws the
   // mesh geometry as indexed triangles or indexed lines. Set `mode` to `gl.LINES`
   // (and either add indices to `lines` or call `computeWireframe()`) to draw the
   // mesh in wireframe.
-  draw: function(mesh, mode) {
+  //
+  // Set the `cull` option to skip drawing meshes that are completely outside
+  // the view frustum of the current modelview and projection matrices. The
+  // bounding box this uses is cached until the mesh is compiled again, so
+  // shaders that move vertices around shouldn't use this.
+  //
+  //     shader.draw(mesh, gl.TRIANGLES, { cull: true });
+  draw: function(mesh, mode, options) {
+    if (mode === undefined) mode = gl.TRIANGLES;
+    if (options && options.cull) {
+      mesh.aabb = mesh.aabb || mesh.getAABB();
+      var frustum = Frustum.fromMatrix(Matrix.multiply(gl.projectionMatrix, gl.modelviewMatrix, tempMatrix));
+      if (!frustum.intersectsAABB(mesh.aabb)) return;
+    }
     this.drawBuffers(mesh.vertexBuffers,
-      mesh.indexBuffers[mode == gl.LINES ? 'lines' : 'triangles'],
-      arguments.length < 2 ? gl.TRIANGLES : mode);
+      mesh.indexBuffers[mode == gl.LINES ? 'lines' : 'triangles'], mode);
   },
 
   // ### .drawBuffers(vertexBuffers, indexBuffer, mode)
@@ -209,39 +334,51 @@ Shader.prototype = {
   // like `gl.TRIANGLES` or `gl.LINES`. This method automatically creates and caches
   // vertex attribute pointers for attributes as needed.
   drawBuffers: function(vertexBuffers, indexBuffer, mode) {
-    // Only construct up the built-in matrices we need for this shader.
+    // Only construct up the built-in matrices we need for this shader, and
+    // only upload them when the matrix stack changed since the last draw.
     var used = this.usedMatrices;
-    var MVM = gl.modelviewMatrix;
-    var PM = gl.projectionMatrix;
-    var MVMI = (used.MVMI || used.NM) ? MVM.inverse() : null;
-    var PMI = (used.PMI) ? PM.inverse() : null;
-    var MVPM = (used.MVPM || used.MVPMI) ? PM.multiply(MVM) : null;
-    var matrices = {};
-    if (used.MVM) matrices[used.MVM] = MVM;
-    if (used.MVMI) matrices[used.MVMI] = MVMI;
-    if (used.PM) matrices[used.PM] = PM;
-    if (used.PMI) matrices[used.PMI] = PMI;
-    if (used.MVPM) matrices[used.MVPM] = MVPM;
-    if (used.MVPMI) matrices[used.MVPMI] = MVPM.inverse();
-    if (used.NM) {
-      var m = MVMI.m;
-      matrices[used.NM] = [m[0], m[4], m[8], m[1], m[5], m[9], m[2], m[6], m[10]];
+    var cache = matrixCache();
+    if (this.matrixStamp !== cache.stamp) {
+      this.matrixStamp = cache.stamp;
+      var matrices = {};
+      if (used.MVM) matrices[used.MVM] = cache.MVM;
+      if (used.MVMI) matrices[used.MVMI] = derivedMatrix(cache, 'MVMI');
+      if (used.PM) matrices[used.PM] = cache.PM;
+      if (used.PMI) matrices[used.PMI] = derivedMatrix(cache, 'PMI');
+      if (used.MVPM) matrices[used.MVPM] = derivedMatrix(cache, 'MVPM');
+      if (used.MVPMI) matrices[used.MVPMI] = derivedMatrix(cache, 'MVPMI');
+      if (used.TM) matrices[used.TM] = cache.TM;
+      if (used.NM) matrices[used.NM] = derivedMatrix(cache, 'NM');
+      this.uniforms(matrices);
+    } else {
+      gl.useProgram(this.program);
     }
-    this.uniforms(matrices);
 
-    // Create and enable attribute pointers as necessary.
-    var length = 0;
+    // Create and enable attribute pointers as necessary. Debug contexts also
+    // check that every attribute has the same number of elements.
+    var length = 0, lengthAttribute;
     for (var attribute in vertexBuffers) {
       var buffer = vertexBuffers[attribute];
       var location = this.attributes[attribute] ||
         gl.getAttribLocation(this.program, attribute.replace(/^(gl_.*)$/, LIGHTGL_PREFIX + '$1'));
-      if (location == -1 || !buffer.buffer) continue;
+      if (location == -1) continue;
+      if (!buffer.buffer) {
+        if (gl.debug) throw new Error('buffer for attribute "' + attribute + '" was never compiled (call compile() first)');
+        continue;
+      }
       this.attributes[attribute] = location;
       gl.bindBuffer(gl.ARRAY_BUFFER, buffer.buffer);
       gl.enableVertexAttribArray(location);
       gl.vertexAttribPointer(location, buffer.buffer.spacing, gl.FLOAT, false, 0, 0);
-      length = buffer.buffer.length / buffer.buffer.spacing;
+      var count = buffer.buffer.spacing ? buffer.buffer.length / buffer.buffer.spacing : 0;
+      if (gl.debug && lengthAttribute && count != length) {
+        throw new Error('attribute "' + attribute + '" has ' + count + ' elements but attribute "' +
+          lengthAttribute + '" has ' + length);
+      }
+      length = count;
+      lengthAttribute = attribute;
     }
+    if (gl.debug && indexBuffer) validateIndexBuffer(indexBuffer, length);
 
     // Disable unused attribute pointers.
     for (var attribute in this.attributes) {
@@ -254,12 +391,38 @@ Shader.prototype = {
     if (length && (!indexBuffer || indexBuffer.buffer)) {
       if (indexBuffer) {
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer.buffer);
-        gl.drawElements(mode, indexBuffer.buffer.length, gl.UNSIGNED_SHORT, 0);
+        gl.drawElements(mode, indexBuffer.buffer.length,
+          indexBuffer.type == Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT, 0);
       } else {
         gl.drawArrays(mode, 0, length);
       }
+      gl.counters.draws++;
+      gl.counters.primitives += countPrimitives(mode, indexBuffer ? indexBuffer.buffer.length : length);
     }
 
     return this;
+  },
+
+  // ### .restore()
+  //
+  // Recompiles the shader program and sets all uniforms to their most recent
+  // values. This is called automatically when a lost context is restored.
+  restore: function() {
+    this.program = createProgram(this.vertexSource, this.fragmentSource);
+    this.attributes = {};
+    this.uniformLocations = {};
+    this.matrixStamp = null;
+    this.uniforms(this.uniformValues);
+  },
+
+  // ### .destroy()
+  //
+  // Deletes the shader program from the GPU. The shader can't be used
+  // afterward.
+  destroy: function() {
+    if (!this.program) return;
+    gl.deleteProgram(this.program);
+    this.program = null;
+    untrackResource(this);
   }
 };
@@ -0,0 +1,262 @@
+// Provides fast batched drawing of 2D sprites, lines, and shapes.
+
+// ### new GL.SpriteBatch([options])
+//
+// Collects colored and textured quads, thick lines, and filled shapes between
+// `begin()` and `end()` and draws them using as few draw calls as possible,
+// which is much faster than `gl.begin()` and `gl.end()` for thousands of
+// elements. Coordinates are in pixels from the top left of the viewport
+// unless another projection is passed to `begin()`.
+//
+// Elements are grouped by texture, so elements with different textures are
+// drawn in the order each texture was first used instead of the order they
+// were added. Pass `sort: false` to keep the original order, which starts a
+// new draw call whenever the texture changes.
+//
+// Example usage:
+//
+//     var batch = new GL.SpriteBatch();
+//
+//     gl.ondraw = function() {
+//       batch.begin();
+//       batch.quad(10, 10, 32, 32, { texture: icon });
+//       batch.line(0, 0, 100, 50, { width: 2, color: [1, 0, 0, 1] });
+//       batch.circle(200, 200, 40, { color: [0, 0, 1, 0.5] });
+//       batch.end();
+//     };
+function SpriteBatch(options) {
+  options = options || {};
+  this.sort = !('sort' in options) || options.sort;
+  this.projection = null;
+  this.groups = [];
+  this.vertexBuffers = {
+    gl_Vertex: new Buffer(gl.ARRAY_BUFFER, Float32Array),
+    gl_TexCoord: new Buffer(gl.ARRAY_BUFFER, Float32Array),
+    gl_Color: new Buffer(gl.ARRAY_BUFFER, Float32Array)
+  };
+  this.vertexBuffers.gl_Vertex.spacing = 2;
+  this.vertexBuffers.gl_TexCoord.spacing = 2;
+  this.vertexBuffers.gl_Color.spacing = 4;
+
+  // Vertex data is copied into these arrays before it's uploaded. They only
+  // grow, so a batch that draws about the same amount every frame reuses the
+  // same arrays and GPU buffers instead of reallocating them on each flush.
+  this.arrays = {
+    gl_Vertex: new Float32Array(0),
+    gl_TexCoord: new Float32Array(0),
+    gl_Color: new Float32Array(0)
+  };
+
+  // Untextured elements are drawn with a white texture so every element can
+  // use the same shader.
+  this.white = new Texture(1, 1, { filter: gl.NEAREST, data: new Uint8Array([255, 255, 255, 255]) });
+  this.shader = new Shader('\
+    varying vec2 coord;\
+    varying vec4 color;\
+    void main() {\
+      coord = gl_TexCoord.xy;\
+      color = gl_Color;\
+      gl_Position = gl_ModelViewProjectionMatrix * gl_Vertex;\
+    }\
+  ', '\
+    uniform sampler2D texture;\
+    varying vec2 coord;\
+    varying vec4 color;\
+    void main() {\
+      gl_FragColor = color * texture2D(texture, coord);\
+    }\
+  ');
+}
+
+var defaultColor = [1, 1, 1, 1];
+
+SpriteBatch.prototype = {
+  // ### .begin([projection])
+  //
+  // Starts a new batch. The projection defaults to an orthographic projection
+  // created with `GL.Matrix.ortho()` that maps the viewport to pixels with the
+  // origin in the top left.
+  begin: function(projection) {
+    var viewport = gl.getParameter(gl.VIEWPORT);
+    this.projection = projection || Matrix.ortho(0, viewport[2], viewport[3], 0, -1, 1);
+    this.groups = [];
+  },
+
+  // ### .quad(x, y, width, height[, options])
+  //
+  // Adds a rectangle with its top left corner at `x, y`. It's filled with
+  // `color` (white by default) multiplied by `texture` (if given). `coords`
+  // gives the texture coordinates of the top left and bottom right corners as
+  // `[u0, v0, u1, v1]`, which defaults to the whole texture.
+  quad: function(x, y, width, height, options) {
+    options = options || {};
+    var group = this.group(options.texture);
+    var color = options.color || defaultColor, c = options.coords || [0, 1, 1, 0];
+    var right = x + width, bottom = y + height;
+    addVertex(group, x, y, c[0], c[1], color);
+    addVertex(group, x, bottom, c[0], c[3], color);
+    addVertex(group, right, y, c[2], c[1], color);
+    addVertex(group, right, y, c[2], c[1], color);
+    addVertex(group, x, bottom, c[0], c[3], color);
+    addVertex(group, right, bottom, c[2], c[3], color);
+  },
+
+  // ### .line(x1, y1, x2, y2[, options])
+  //
+  // Adds a line from `x1, y1` to `x2, y2` that is `width` pixels wide (1 by
+  // default) and filled with `color`.
+  line: function(x1, y1, x2, y2, options) {
+    options = options || {};
+    var dx = x2 - x1, dy = y2 - y1, length = Math.sqrt(dx * dx + dy * dy);
+    if (!length) return;
+    var scale = (options.width || 1) / 2 / length;
+    var nx = -dy * scale, ny = dx * scale;
+    var group = this.group(null), color = options.color || defaultColor;
+    addVertex(group, x1 + nx, y1 + ny, 0, 0, color);
+    addVertex(group, x1 - nx, y1 - ny, 0, 0, color);
+    addVertex(group, x2 + nx, y2 + ny, 0, 0, color);
+    addVertex(group, x2 + nx, y2 + ny, 0, 0, color);
+    addVertex(group, x1 - nx, y1 - ny, 0, 0, color);
+    addVertex(group, x2 - nx, y2 - ny, 0, 0, color);
+  },
+
+  // ### .polygon(points[, options])
+  //
+  // Adds a convex polygon with corners `points`, a list of `[x, y]` pairs,
+  // filled with `color`.
+  polygon: function(points, options) {
+    options = options || {};
+    var group = this.group(null), color = options.color || defaultColor;
+    for (var i = 2; i < points.length; i++) {
+      addVertex(group, points[0][0], points[0][1], 0, 0, color);
+      addVertex(group, points[i - 1][0], points[i - 1][1], 0, 0, color);
+      addVertex(group, points[i][0], points[i][1], 0, 0, color);
+    }
+  },
+
+  // ### .circle(x, y, radius[, options])
+  //
+  // Adds a circle centered on `x, y` filled with `color`. The number of
+  // `segments` defaults to one for every pixel of radius, but at least 12.
+  circle: function(x, y, radius, options) {
+    options = options || {};
+    var segments = options.segments || Math.max(12, Math.min(128, Math.ceil(radius)));
+    var points = [];
+    for (var i = 0; i < segments; i++) {
+      var angle = i / segments * Math.PI * 2;
+      points.push([x + Math.cos(angle) * radius, y + Math.sin(angle) * radius]);
+    }
+    this.polygon(points, options);
+  },
+
+  // ### .flush()
+  //
+  // Draws everything added since the last flush. This is called by `end()`
+  // but can also be called to draw something else on top in the middle of a
+  // batch. Blending is enabled and depth testing is disabled while drawing,
+  // and the render state, matrices, and the texture bound to unit 0 are
+  // restored afterward.
+  flush: function() {
+    if (!this.projection) throw new Error('SpriteBatch.flush() called without SpriteBatch.begin()');
+    var modelview = gl.modelviewMatrix, projection = gl.projectionMatrix;
+    gl.modelviewMatrix = new Matrix();
+    gl.projectionMatrix = this.projection;
+    gl.pushAttrib(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT | gl.POLYGON_BIT);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.CULL_FACE);
+    var activeTexture = gl.getParameter(gl.ACTIVE_TEXTURE);
+    gl.activeTexture(gl.TEXTURE0);
+    var boundTexture = gl.getParameter(gl.TEXTURE_BINDING_2D);
+    for (var i = 0; i < this.groups.length; i++) {
+      var group = this.groups[i];
+      this.upload('gl_Vertex', group.vertices);
+      this.upload('gl_TexCoord', group.coords);
+      this.upload('gl_Color', group.colors);
+      (group.texture || this.white).bind(0);
+      this.shader.uniforms({ texture: 0 }).drawBuffers(this.vertexBuffers, null, gl.TRIANGLES);
+    }
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, boundTexture);
+    gl.activeTexture(activeTexture);
+    gl.popAttrib();
+    gl.modelviewMatrix = modelview;
+    gl.projectionMatrix = projection;
+    this.groups = [];
+  },
+
+  // ### .end()
+  //
+  // Draws the batch and ends it.
+  end: function() {
+    this.flush();
+    this.projection = null;
+  },
+
+  // ### .group(texture)
+  //
+  // Returns the group that elements using `texture` are added to, reusing an
+  // existing group with that texture when sorting is enabled.
+  group: function(texture) {
+    texture = texture || null;
+    var last = this.groups[this.groups.length - 1];
+    if (last && last.texture === texture) return last;
+    if (this.sort) {
+      for (var i = 0; i < this.groups.length; i++) {
+        if (this.groups[i].texture === texture) return this.groups[i];
+      }
+    }
+    var group = { texture: texture, vertices: [], coords: [], colors: [] };
+    this.groups.push(group);
+    return group;
+  },
+
+  // ### .upload(attribute, values)
+  //
+  // Copies `values` into the array for `attribute` and uploads it to the
+  // matching vertex buffer. The array and the GPU buffer are reallocated with
+  // twice the capacity when they're too small, and otherwise only the used
+  // part is updated with `gl.bufferSubData()`.
+  upload: function(attribute, values) {
+    var buffer = this.vertexBuffers[attribute], array = this.arrays[attribute];
+    if (array.length < values.length) {
+      var capacity = Math.max(array.length, 256);
+      while (capacity < values.length) capacity *= 2;
+      array = this.arrays[attribute] = new Float32Array(capacity);
+    }
+    array.set(values);
+
+    // A context restore replaces `buffer.buffer` with a new GPU buffer that
+    // has no `capacity`, so it's reallocated here on the next flush.
+    if (!buffer.buffer) buffer.compile(gl.DYNAMIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer.buffer);
+    if (buffer.buffer.capacity != array.length) {
+      gl.bufferData(gl.ARRAY_BUFFER, array, gl.DYNAMIC_DRAW);
+      buffer.buffer.capacity = array.length;
+    } else {
+      gl.bufferSubData(gl.ARRAY_BUFFER, 0, array.subarray(0, values.length));
+    }
+    buffer.buffer.length = values.length;
+    buffer.buffer.spacing = buffer.spacing;
+    gl.counters.bufferBytes += values.length * array.BYTES_PER_ELEMENT;
+  },
+
+  // ### .destroy()
+  //
+  // Deletes the buffers, shader, and white texture the batch uses. Textures
+  // passed to `quad()` belong to the caller and are left alone.
+  destroy: function() {
+    for (var attribute in this.vertexBuffers) {
+      this.vertexBuffers[attribute].destroy();
+    }
+    this.white.destroy();
+    this.shader.destroy();
+  }
+};
+
+function addVertex(group, x, y, u, v, color) {
+  group.vertices.push(x, y);
+  group.coords.push(u, v);
+  group.colors.push(color[0], color[1], color[2], color.length > 3 ? color[3] : 1);
+}
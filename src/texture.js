@@ -22,9 +22,12 @@
 //       format: gl.RGB, // Defaults to gl.RGBA
 //       type: gl.FLOAT // Defaults to gl.UNSIGNED_BYTE
 //     });
+//
+// Floating-point textures automatically use the sized internal formats and
+// the `gl.HALF_FLOAT` type that WebGL 2 requires, so the same options work for
+// both WebGL 1 and WebGL 2.
 function Texture(width, height, options) {
   options = options || {};
-  this.id = gl.createTexture();
   this.width = width;
   this.height = height;
   this.format = options.format || gl.RGBA;
@@ -48,13 +51,63 @@ function Texture(width, height, options) {
       throw new Error('OES_texture_half_float_linear is required but not supported');
     }
   }
-  gl.bindTexture(gl.TEXTURE_2D, this.id);
+  this.id = gl.createTexture();
+  this.options = options;
+  this.image = null;
+  initTexture(this);
+  trackResource(this);
+}
+
+// Sets the parameters of `texture.id` and allocates its storage, filling it
+// with `options.data` if there is any.
+function initTexture(texture) {
+  var options = texture.options;
+  gl.bindTexture(gl.TEXTURE_2D, texture.id);
   gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, 1);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, magFilter);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, minFilter);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, options.filter || options.magFilter || gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, options.filter || options.minFilter || gl.LINEAR);
   gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, options.wrap || options.wrapS || gl.CLAMP_TO_EDGE);
   gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, options.wrap || options.wrapT || gl.CLAMP_TO_EDGE);
-  gl.texImage2D(gl.TEXTURE_2D, 0, this.format, width, height, 0, this.format, this.type, options.data || null);
+  gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat(texture.format, texture.type), texture.width, texture.height, 0,
+    texture.format, nativeType(texture.type), options.data || null);
+}
+
+// Uploads `texture.image` into the currently bound texture.
+function uploadImage(texture) {
+  try {
+    gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat(texture.format, texture.type), texture.format,
+      nativeType(texture.type), texture.image);
+  } catch (e) {
+    if (location.protocol == 'file:') {
+      throw new Error('image not loaded for security reasons (serve this page over "http://" instead)');
+    } else {
+      throw new Error('image not loaded for security reasons (image must originate from the same ' +
+        'domain as this page or use Cross-Origin Resource Sharing)');
+    }
+  }
+  var minFilter = texture.options.minFilter;
+  if (minFilter && minFilter != gl.NEAREST && minFilter != gl.LINEAR) {
+    gl.generateMipmap(gl.TEXTURE_2D);
+  }
+}
+
+// WebGL 2 only accepts floating-point data for sized internal formats.
+function internalFormat(format, type) {
+  if (gl.capabilities.version == 2) {
+    if (type === gl.FLOAT) {
+      if (format === gl.RGBA) return gl.RGBA32F;
+      if (format === gl.RGB) return gl.RGB32F;
+    } else if (type === gl.HALF_FLOAT_OES) {
+      if (format === gl.RGBA) return gl.RGBA16F;
+      if (format === gl.RGB) return gl.RGB16F;
+    }
+  }
+  return format;
+}
+
+// WebGL 2 has its own enum for half floats instead of `gl.HALF_FLOAT_OES`.
+function nativeType(type) {
+  return gl.capabilities.version == 2 && type === gl.HALF_FLOAT_OES ? gl.HALF_FLOAT : type;
 }
 
 var framebuffer;
@@ -105,11 +158,12 @@ Texture.prototype = {
   //       gl.clear(gl.COLOR_BUFFER_BIT);
   //     });
   drawTo: function(callback) {
-    var v = gl.getParameter(gl.VIEWPORT);
+    gl.pushAttrib(gl.VIEWPORT_BIT);
     framebuffer = framebuffer || gl.createFramebuffer();
     renderbuffer = renderbuffer || gl.createRenderbuffer();
     gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
     gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+    gl.counters.targetSwitches++;
     if (this.width != renderbuffer.width || this.height != renderbuffer.height) {
       renderbuffer.width = this.width;
       renderbuffer.height = this.height;
@@ -126,7 +180,7 @@ Texture.prototype = {
 
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     gl.bindRenderbuffer(gl.RENDERBUFFER, null);
-    gl.viewport(v[0], v[1], v[2], v[3]);
+    gl.popAttrib();
   },
 
   // ### .swapWith(other)
@@ -138,6 +192,30 @@ Texture.prototype = {
     temp = other.id; other.id = this.id; this.id = temp;
     temp = other.width; other.width = this.width; this.width = temp;
     temp = other.height; other.height = this.height; this.height = temp;
+    temp = other.options; other.options = this.options; this.options = temp;
+    temp = other.image; other.image = this.image; this.image = temp;
+  },
+
+  // ### .restore()
+  //
+  // Creates a new texture with the same size and parameters, filled with the
+  // original image or data. The contents of textures that were drawn to are
+  // lost, so those need to be drawn again in `gl.oncontextrestored()`. This is
+  // called automatically when a lost context is restored.
+  restore: function() {
+    this.id = gl.createTexture();
+    initTexture(this);
+    if (this.image) uploadImage(this);
+  },
+
+  // ### .destroy()
+  //
+  // Deletes the texture from the GPU. The texture can't be used afterward.
+  destroy: function() {
+    if (!this.id) return;
+    gl.deleteTexture(this.id);
+    this.id = null;
+    untrackResource(this);
   }
 };
 
@@ -147,19 +225,8 @@ Texture.prototype = {
 Texture.fromImage = function(image, options) {
   options = options || {};
   var texture = new Texture(image.width, image.height, options);
-  try {
-    gl.texImage2D(gl.TEXTURE_2D, 0, texture.format, texture.format, texture.type, image);
-  } catch (e) {
-    if (location.protocol == 'file:') {
-      throw new Error('image not loaded for security reasons (serve this page over "http://" instead)');
-    } else {
-      throw new Error('image not loaded for security reasons (image must originate from the same ' +
-        'domain as this page or use Cross-Origin Resource Sharing)');
-    }
-  }
-  if (options.minFilter && options.minFilter != gl.NEAREST && options.minFilter != gl.LINEAR) {
-    gl.generateMipmap(gl.TEXTURE_2D);
-  }
+  texture.image = image;
+  uploadImage(texture);
   return texture;
 };
 
@@ -184,7 +251,11 @@ Texture.fromURL = function(url, options) {
   var context = gl;
   image.onload = function() {
     context.makeCurrent();
-    Texture.fromImage(image, options).swapWith(texture);
+    texture.width = image.width;
+    texture.height = image.height;
+    texture.image = image;
+    initTexture(texture);
+    uploadImage(texture);
   };
   image.src = url;
   return texture;
@@ -193,9 +264,9 @@ Texture.fromURL = function(url, options) {
 // ### GL.Texture.canUseFloatingPointTextures()
 //
 // Returns false if `gl.FLOAT` is not supported as a texture type. This is the
-// `OES_texture_float` extension.
+// `OES_texture_float` extension, which is built into WebGL 2.
 Texture.canUseFloatingPointTextures = function() {
-  return !!gl.getExtension('OES_texture_float');
+  return gl.capabilities.version == 2 || !!gl.getExtension('OES_texture_float');
 };
 
 // ### GL.Texture.canUseFloatingPointLinearFiltering()
@@ -210,16 +281,16 @@ Texture.canUseFloatingPointLinearFiltering = function() {
 // ### GL.Texture.canUseFloatingPointTextures()
 //
 // Returns false if `gl.HALF_FLOAT_OES` is not supported as a texture type.
-// This is the `OES_texture_half_float` extension.
+// This is the `OES_texture_half_float` extension, which is built into WebGL 2.
 Texture.canUseHalfFloatingPointTextures = function() {
-  return !!gl.getExtension('OES_texture_half_float');
+  return gl.capabilities.version == 2 || !!gl.getExtension('OES_texture_half_float');
 };
 
 // ### GL.Texture.canUseFloatingPointLinearFiltering()
 //
 // Returns false if `gl.LINEAR` is not supported as a texture filter mode for
 // textures of type `gl.HALF_FLOAT_OES`. This is the
-// `OES_texture_half_float_linear` extension.
+// `OES_texture_half_float_linear` extension, which is built into WebGL 2.
 Texture.canUseHalfFloatingPointLinearFiltering = function() {
-  return !!gl.getExtension('OES_texture_half_float_linear');
+  return gl.capabilities.version == 2 || !!gl.getExtension('OES_texture_half_float_linear');
 };
@@ -9,7 +9,8 @@ function Vector(x, y, z) {
 
 // ### Instance Methods
 // The methods `add()`, `subtract()`, `multiply()`, and `divide()` can all
-// take either a vector or a number as an argument.
+// take either a vector or a number as an argument. `toVector4()` uses a `w` of
+// 1 by default, which makes the result a point in homogeneous coordinates.
 Vector.prototype = {
   negative: function() {
     return new Vector(-this.x, -this.y, -this.z);
@@ -64,6 +65,15 @@ Vector.prototype = {
   angleTo: function(a) {
     return Math.acos(this.dot(a) / (this.length() * a.length()));
   },
+  swizzle: function(pattern) {
+    return swizzle(this, pattern);
+  },
+  toVector2: function() {
+    return new Vector2(this.x, this.y);
+  },
+  toVector4: function(w) {
+    return new Vector4(this.x, this.y, this.z, arguments.length ? w : 1);
+  },
   toArray: function(n) {
     return [this.x, this.y, this.z].slice(0, n || 3);
   },
@@ -80,61 +90,167 @@ Vector.prototype = {
 // `Vector.randomDirection()` returns a vector with a length of 1 and a
 // statistically uniform direction. `Vector.lerp()` performs linear
 // interpolation between two vectors.
+//
+// The static functions store their result in the optional last argument
+// and return it, or return a new vector when it's omitted. The result may be
+// one of the inputs, so `Vector.add(a, b, a)` adds `b` to `a` in place.
 Vector.negative = function(a, b) {
+  b = b || new Vector();
   b.x = -a.x; b.y = -a.y; b.z = -a.z;
   return b;
 };
 Vector.add = function(a, b, c) {
+  c = c || new Vector();
   if (b instanceof Vector) { c.x = a.x + b.x; c.y = a.y + b.y; c.z = a.z + b.z; }
   else { c.x = a.x + b; c.y = a.y + b; c.z = a.z + b; }
   return c;
 };
 Vector.subtract = function(a, b, c) {
+  c = c || new Vector();
   if (b instanceof Vector) { c.x = a.x - b.x; c.y = a.y - b.y; c.z = a.z - b.z; }
   else { c.x = a.x - b; c.y = a.y - b; c.z = a.z - b; }
   return c;
 };
 Vector.multiply = function(a, b, c) {
+  c = c || new Vector();
   if (b instanceof Vector) { c.x = a.x * b.x; c.y = a.y * b.y; c.z = a.z * b.z; }
   else { c.x = a.x * b; c.y = a.y * b; c.z = a.z * b; }
   return c;
 };
 Vector.divide = function(a, b, c) {
+  c = c || new Vector();
   if (b instanceof Vector) { c.x = a.x / b.x; c.y = a.y / b.y; c.z = a.z / b.z; }
   else { c.x = a.x / b; c.y = a.y / b; c.z = a.z / b; }
   return c;
 };
 Vector.cross = function(a, b, c) {
-  c.x = a.y * b.z - a.z * b.y;
-  c.y = a.z * b.x - a.x * b.z;
-  c.z = a.x * b.y - a.y * b.x;
-  return c;
+  c = c || new Vector();
+  return c.init(
+    a.y * b.z - a.z * b.y,
+    a.z * b.x - a.x * b.z,
+    a.x * b.y - a.y * b.x
+  );
 };
 Vector.unit = function(a, b) {
+  b = b || new Vector();
   var length = a.length();
   b.x = a.x / length;
   b.y = a.y / length;
   b.z = a.z / length;
   return b;
 };
-Vector.fromAngles = function(theta, phi) {
-  return new Vector(Math.cos(theta) * Math.cos(phi), Math.sin(phi), Math.sin(theta) * Math.cos(phi));
-};
-Vector.randomDirection = function() {
-  return Vector.fromAngles(Math.random() * Math.PI * 2, Math.asin(Math.random() * 2 - 1));
+Vector.fromAngles = function(theta, phi, result) {
+  result = result || new Vector();
+  return result.init(Math.cos(theta) * Math.cos(phi), Math.sin(phi), Math.sin(theta) * Math.cos(phi));
 };
-Vector.min = function(a, b) {
-  return new Vector(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.min(a.z, b.z));
+Vector.randomDirection = function(result) {
+  return Vector.fromAngles(Math.random() * Math.PI * 2, Math.asin(Math.random() * 2 - 1), result);
 };
-Vector.max = function(a, b) {
-  return new Vector(Math.max(a.x, b.x), Math.max(a.y, b.y), Math.max(a.z, b.z));
+Vector.min = function(a, b, c) {
+  c = c || new Vector();
+  return c.init(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.min(a.z, b.z));
 };
-Vector.lerp = function(a, b, fraction) {
-  return b.subtract(a).multiply(fraction).add(a);
+Vector.max = function(a, b, c) {
+  c = c || new Vector();
+  return c.init(Math.max(a.x, b.x), Math.max(a.y, b.y), Math.max(a.z, b.z));
 };
-Vector.fromArray = function(a) {
-  return new Vector(a[0], a[1], a[2]);
+Vector.lerp = function(a, b, fraction, c) {
+  c = c || new Vector();
+  return c.init(
+    a.x + (b.x - a.x) * fraction,
+    a.y + (b.y - a.y) * fraction,
+    a.z + (b.z - a.z) * fraction
+  );
 };
 Vector.angleBetween = function(a, b) {
   return a.angleTo(b);
 };
+
+// ### Arrays
+// Large numbers of vectors, such as vertex data, can be kept in one array
+// (usually a typed array) and copied into a reused `GL.Vector` only while
+// they're worked on. `Vector.fromArray()` reads the three numbers starting at `offset` (default
+// 0) into `result` (a new vector if omitted) and `Vector.toArray()` writes
+// them back, into a new array if `array` is omitted.
+//
+//     var positions = new Float32Array(count * 3), v = new GL.Vector();
+//     for (var i = 0; i < count * 3; i += 3) {
+//       GL.Vector.fromArray(positions, i, v);
+//       GL.Vector.toArray(GL.Vector.multiply(v, 2, v), positions, i);
+//     }
+Vector.fromArray = function(a, offset, result) {
+  offset = offset || 0;
+  result = result || new Vector();
+  return result.init(a[offset], a[offset + 1], a[offset + 2]);
+};
+Vector.toArray = function(v, array, offset) {
+  array = array || [];
+  offset = offset || 0;
+  array[offset] = v.x;
+  array[offset + 1] = v.y;
+  array[offset + 2] = v.z;
+  return array;
+};
+
+// ### Array Views
+// `Vector.view(array[, offset])` returns a vector that stores its components
+// in `array` starting at `offset` (default 0) instead of in its own
+// properties, so reading and writing `x`, `y`, and `z` goes straight to the
+// array without copying. Views are `GL.Vector` instances and can be passed to
+// and returned from all the methods above. Changing `offset` moves a view to
+// another vector in the same array:
+//
+//     var positions = new Float32Array(count * 3), v = GL.Vector.view(positions);
+//     for (v.offset = 0; v.offset < count * 3; v.offset += 3) {
+//       GL.Vector.multiply(v, 2, v);
+//     }
+//
+// Methods that return a new vector, like `add()`, return a regular
+// `GL.Vector` and not another view.
+Vector.view = function(array, offset) {
+  return new VectorView(array, offset);
+};
+
+function VectorView(array, offset) {
+  this.array = array;
+  this.offset = offset || 0;
+}
+
+VectorView.prototype = Object.create(Vector.prototype);
+['x', 'y', 'z'].forEach(function(name, i) {
+  Object.defineProperty(VectorView.prototype, name, {
+    get: function() { return this.array[this.offset + i]; },
+    set: function(value) { this.array[this.offset + i] = value; }
+  });
+});
+
+// ### Swizzling
+// `GL.Vector2`, `GL.Vector`, and `GL.Vector4` all have a `swizzle(pattern)`
+// method that rearranges their components like GLSL does. Each character of
+// `pattern` picks a component using `xyzw` or `rgba`, and `0` and `1` insert
+// constants. Patterns of length 2, 3, and 4 return a `GL.Vector2`, `GL.Vector`,
+// and `GL.Vector4` respectively, and a single character returns a number.
+//
+//     new GL.Vector(1, 2, 3).swizzle('zyx')  // GL.Vector(3, 2, 1)
+//     new GL.Vector(1, 2, 3).swizzle('xyz1') // GL.Vector4(1, 2, 3, 1)
+var swizzleComponents = { x: 'x', y: 'y', z: 'z', w: 'w', r: 'x', g: 'y', b: 'z', a: 'w' };
+function swizzle(v, pattern) {
+  var values = [];
+  for (var i = 0; i < pattern.length; i++) {
+    var c = pattern.charAt(i);
+    if (c == '0' || c == '1') {
+      values.push(+c);
+    } else if (swizzleComponents[c] in v) {
+      values.push(v[swizzleComponents[c]]);
+    } else {
+      throw new Error('invalid swizzle component "' + c + '" in "' + pattern + '"');
+    }
+  }
+  switch (values.length) {
+    case 1: return values[0];
+    case 2: return new Vector2(values[0], values[1]);
+    case 3: return new Vector(values[0], values[1], values[2]);
+    case 4: return new Vector4(values[0], values[1], values[2], values[3]);
+    default: throw new Error('invalid swizzle "' + pattern + '"');
+  }
+}
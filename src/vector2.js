@@ -0,0 +1,157 @@
+// Provides a simple 2D vector class for texture coordinates and other planar
+// quantities. It has the same methods as `GL.Vector`, so operations can be
+// done using member functions, which return new vectors, or static functions,
+// which reuse existing vectors to avoid generating garbage.
+function Vector2(x, y) {
+  this.x = x || 0;
+  this.y = y || 0;
+}
+
+// ### Instance Methods
+// The methods `add()`, `subtract()`, `multiply()`, and `divide()` can all
+// take either a vector or a number as an argument. `cross()` returns the z
+// component of the 3D cross product, which is positive when `v` is counter-
+// clockwise from this vector.
+Vector2.prototype = {
+  negative: function() {
+    return new Vector2(-this.x, -this.y);
+  },
+  add: function(v) {
+    if (v instanceof Vector2) return new Vector2(this.x + v.x, this.y + v.y);
+    else return new Vector2(this.x + v, this.y + v);
+  },
+  subtract: function(v) {
+    if (v instanceof Vector2) return new Vector2(this.x - v.x, this.y - v.y);
+    else return new Vector2(this.x - v, this.y - v);
+  },
+  multiply: function(v) {
+    if (v instanceof Vector2) return new Vector2(this.x * v.x, this.y * v.y);
+    else return new Vector2(this.x * v, this.y * v);
+  },
+  divide: function(v) {
+    if (v instanceof Vector2) return new Vector2(this.x / v.x, this.y / v.y);
+    else return new Vector2(this.x / v, this.y / v);
+  },
+  equals: function(v) {
+    return this.x == v.x && this.y == v.y;
+  },
+  dot: function(v) {
+    return this.x * v.x + this.y * v.y;
+  },
+  cross: function(v) {
+    return this.x * v.y - this.y * v.x;
+  },
+  length: function() {
+    return Math.sqrt(this.dot(this));
+  },
+  unit: function() {
+    return this.divide(this.length());
+  },
+  min: function() {
+    return Math.min(this.x, this.y);
+  },
+  max: function() {
+    return Math.max(this.x, this.y);
+  },
+  toAngle: function() {
+    return Math.atan2(this.y, this.x);
+  },
+  angleTo: function(a) {
+    return Math.acos(this.dot(a) / (this.length() * a.length()));
+  },
+  swizzle: function(pattern) {
+    return swizzle(this, pattern);
+  },
+  toVector3: function(z) {
+    return new Vector(this.x, this.y, z || 0);
+  },
+  toVector4: function(z, w) {
+    return new Vector4(this.x, this.y, z || 0, arguments.length < 2 ? 1 : w);
+  },
+  toArray: function(n) {
+    return [this.x, this.y].slice(0, n || 2);
+  },
+  clone: function() {
+    return new Vector2(this.x, this.y);
+  },
+  init: function(x, y) {
+    this.x = x; this.y = y;
+    return this;
+  }
+};
+
+// ### Static Methods
+// These match the static methods of `GL.Vector`: each stores its result in
+// the optional last argument, which may also be one of the inputs, and
+// returns it. `Vector2.fromAngle()` returns the unit vector at `theta`
+// radians counter-clockwise from the x axis.
+Vector2.negative = function(a, b) {
+  b = b || new Vector2();
+  b.x = -a.x; b.y = -a.y;
+  return b;
+};
+Vector2.add = function(a, b, c) {
+  c = c || new Vector2();
+  if (b instanceof Vector2) { c.x = a.x + b.x; c.y = a.y + b.y; }
+  else { c.x = a.x + b; c.y = a.y + b; }
+  return c;
+};
+Vector2.subtract = function(a, b, c) {
+  c = c || new Vector2();
+  if (b instanceof Vector2) { c.x = a.x - b.x; c.y = a.y - b.y; }
+  else { c.x = a.x - b; c.y = a.y - b; }
+  return c;
+};
+Vector2.multiply = function(a, b, c) {
+  c = c || new Vector2();
+  if (b instanceof Vector2) { c.x = a.x * b.x; c.y = a.y * b.y; }
+  else { c.x = a.x * b; c.y = a.y * b; }
+  return c;
+};
+Vector2.divide = function(a, b, c) {
+  c = c || new Vector2();
+  if (b instanceof Vector2) { c.x = a.x / b.x; c.y = a.y / b.y; }
+  else { c.x = a.x / b; c.y = a.y / b; }
+  return c;
+};
+Vector2.unit = function(a, b) {
+  b = b || new Vector2();
+  var length = a.length();
+  b.x = a.x / length;
+  b.y = a.y / length;
+  return b;
+};
+Vector2.fromAngle = function(theta, result) {
+  result = result || new Vector2();
+  return result.init(Math.cos(theta), Math.sin(theta));
+};
+Vector2.randomDirection = function(result) {
+  return Vector2.fromAngle(Math.random() * Math.PI * 2, result);
+};
+Vector2.min = function(a, b, c) {
+  c = c || new Vector2();
+  return c.init(Math.min(a.x, b.x), Math.min(a.y, b.y));
+};
+Vector2.max = function(a, b, c) {
+  c = c || new Vector2();
+  return c.init(Math.max(a.x, b.x), Math.max(a.y, b.y));
+};
+Vector2.lerp = function(a, b, fraction, c) {
+  c = c || new Vector2();
+  return c.init(a.x + (b.x - a.x) * fraction, a.y + (b.y - a.y) * fraction);
+};
+Vector2.angleBetween = function(a, b) {
+  return a.angleTo(b);
+};
+Vector2.fromArray = function(a, offset, result) {
+  offset = offset || 0;
+  result = result || new Vector2();
+  return result.init(a[offset], a[offset + 1]);
+};
+Vector2.toArray = function(v, array, offset) {
+  array = array || [];
+  offset = offset || 0;
+  array[offset] = v.x;
+  array[offset + 1] = v.y;
+  return array;
+};
@@ -0,0 +1,152 @@
+// Provides a simple 4D vector class for colors and homogeneous coordinates.
+// It has the same methods as `GL.Vector` except those that only make sense
+// in 3D, like `cross()`. Use `GL.Matrix.transformVector4()` to transform one
+// by a matrix without dropping `w`.
+function Vector4(x, y, z, w) {
+  this.x = x || 0;
+  this.y = y || 0;
+  this.z = z || 0;
+  this.w = w || 0;
+}
+
+// ### Instance Methods
+// The methods `add()`, `subtract()`, `multiply()`, and `divide()` can all
+// take either a vector or a number as an argument. `toVector3()` drops `w`
+// while `toPoint()` divides by it to get back to 3D coordinates.
+Vector4.prototype = {
+  negative: function() {
+    return new Vector4(-this.x, -this.y, -this.z, -this.w);
+  },
+  add: function(v) {
+    if (v instanceof Vector4) return new Vector4(this.x + v.x, this.y + v.y, this.z + v.z, this.w + v.w);
+    else return new Vector4(this.x + v, this.y + v, this.z + v, this.w + v);
+  },
+  subtract: function(v) {
+    if (v instanceof Vector4) return new Vector4(this.x - v.x, this.y - v.y, this.z - v.z, this.w - v.w);
+    else return new Vector4(this.x - v, this.y - v, this.z - v, this.w - v);
+  },
+  multiply: function(v) {
+    if (v instanceof Vector4) return new Vector4(this.x * v.x, this.y * v.y, this.z * v.z, this.w * v.w);
+    else return new Vector4(this.x * v, this.y * v, this.z * v, this.w * v);
+  },
+  divide: function(v) {
+    if (v instanceof Vector4) return new Vector4(this.x / v.x, this.y / v.y, this.z / v.z, this.w / v.w);
+    else return new Vector4(this.x / v, this.y / v, this.z / v, this.w / v);
+  },
+  equals: function(v) {
+    return this.x == v.x && this.y == v.y && this.z == v.z && this.w == v.w;
+  },
+  dot: function(v) {
+    return this.x * v.x + this.y * v.y + this.z * v.z + this.w * v.w;
+  },
+  length: function() {
+    return Math.sqrt(this.dot(this));
+  },
+  unit: function() {
+    return this.divide(this.length());
+  },
+  min: function() {
+    return Math.min(Math.min(this.x, this.y), Math.min(this.z, this.w));
+  },
+  max: function() {
+    return Math.max(Math.max(this.x, this.y), Math.max(this.z, this.w));
+  },
+  angleTo: function(a) {
+    return Math.acos(this.dot(a) / (this.length() * a.length()));
+  },
+  swizzle: function(pattern) {
+    return swizzle(this, pattern);
+  },
+  toVector2: function() {
+    return new Vector2(this.x, this.y);
+  },
+  toVector3: function() {
+    return new Vector(this.x, this.y, this.z);
+  },
+  toPoint: function() {
+    return new Vector(this.x / this.w, this.y / this.w, this.z / this.w);
+  },
+  toArray: function(n) {
+    return [this.x, this.y, this.z, this.w].slice(0, n || 4);
+  },
+  clone: function() {
+    return new Vector4(this.x, this.y, this.z, this.w);
+  },
+  init: function(x, y, z, w) {
+    this.x = x; this.y = y; this.z = z; this.w = w;
+    return this;
+  }
+};
+
+// ### Static Methods
+// These match the static methods of `GL.Vector`: each stores its result in
+// the optional last argument, which may also be one of the inputs, and
+// returns it.
+Vector4.negative = function(a, b) {
+  b = b || new Vector4();
+  b.x = -a.x; b.y = -a.y; b.z = -a.z; b.w = -a.w;
+  return b;
+};
+Vector4.add = function(a, b, c) {
+  c = c || new Vector4();
+  if (b instanceof Vector4) { c.x = a.x + b.x; c.y = a.y + b.y; c.z = a.z + b.z; c.w = a.w + b.w; }
+  else { c.x = a.x + b; c.y = a.y + b; c.z = a.z + b; c.w = a.w + b; }
+  return c;
+};
+Vector4.subtract = function(a, b, c) {
+  c = c || new Vector4();
+  if (b instanceof Vector4) { c.x = a.x - b.x; c.y = a.y - b.y; c.z = a.z - b.z; c.w = a.w - b.w; }
+  else { c.x = a.x - b; c.y = a.y - b; c.z = a.z - b; c.w = a.w - b; }
+  return c;
+};
+Vector4.multiply = function(a, b, c) {
+  c = c || new Vector4();
+  if (b instanceof Vector4) { c.x = a.x * b.x; c.y = a.y * b.y; c.z = a.z * b.z; c.w = a.w * b.w; }
+  else { c.x = a.x * b; c.y = a.y * b; c.z = a.z * b; c.w = a.w * b; }
+  return c;
+};
+Vector4.divide = function(a, b, c) {
+  c = c || new Vector4();
+  if (b instanceof Vector4) { c.x = a.x / b.x; c.y = a.y / b.y; c.z = a.z / b.z; c.w = a.w / b.w; }
+  else { c.x = a.x / b; c.y = a.y / b; c.z = a.z / b; c.w = a.w / b; }
+  return c;
+};
+Vector4.unit = function(a, b) {
+  b = b || new Vector4();
+  var length = a.length();
+  return b.init(a.x / length, a.y / length, a.z / length, a.w / length);
+};
+Vector4.min = function(a, b, c) {
+  c = c || new Vector4();
+  return c.init(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.min(a.z, b.z), Math.min(a.w, b.w));
+};
+Vector4.max = function(a, b, c) {
+  c = c || new Vector4();
+  return c.init(Math.max(a.x, b.x), Math.max(a.y, b.y), Math.max(a.z, b.z), Math.max(a.w, b.w));
+};
+Vector4.lerp = function(a, b, fraction, c) {
+  c = c || new Vector4();
+  return c.init(
+    a.x + (b.x - a.x) * fraction,
+    a.y + (b.y - a.y) * fraction,
+    a.z + (b.z - a.z) * fraction,
+    a.w + (b.w - a.w) * fraction
+  );
+};
+Vector4.angleBetween = function(a, b) {
+  return a.angleTo(b);
+};
+Vector4.fromArray = function(a, offset, result) {
+  offset = offset || 0;
+  result = result || new Vector4();
+  return result.init(a[offset], a[offset + 1], a[offset + 2], a[offset + 3]);
+};
+Vector4.toArray = function(v, array, offset) {
+  array = array || [];
+  offset = offset || 0;
+  array[offset] = v.x;
+  array[offset + 1] = v.y;
+  array[offset + 2] = v.z;
+  array[offset + 3] = v.w;
+  return array;
+};